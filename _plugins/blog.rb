@@ -0,0 +1,23 @@
+module Jekyll
+  class BlogPostDataGenerator < Generator
+    def generate(site)
+      # Generate one JSON file per page of the blog index, loaded by blog.js as readers ask for more posts
+      page_size = site.config.fetch('blog_page_size', 20)
+      unless page_size.is_a?(Integer) && page_size.positive?
+        raise Errors::FatalException, "blog_page_size must be a positive integer, not #{page_size.inspect}"
+      end
+      # The blog index reads the page size from the configuration too
+      site.config['blog_page_size'] = page_size
+
+      page_count = (site.posts.docs.size.to_f / page_size).ceil
+      (1..page_count).each do |page|
+        data_page = PageWithoutAFile.new(site, site.source, "blog", "posts-#{page}.json")
+        data_page.data = {
+          'layout' => 'none'
+        }
+        data_page.content = "{% include_relative _post-data.json offset=#{(page - 1) * page_size} limit=#{page_size} %}"
+        site.pages << data_page
+      end
+    end
+  end
+end
@@ -1,25 +1,77 @@
 const wrapper = document.querySelector('.blogs-and-filter-wrapper')
 const postsWrapper = wrapper.querySelector('.blogs-wrapper')
-const postData = JSON.parse(wrapper.querySelector('#post-data').textContent)
+// the first page of posts, the rest are fetched from /blog/posts-<page>.json as needed
+const {
+  postCount,
+  pageSize,
+  posts: postData,
+} = JSON.parse(wrapper.querySelector('#post-data').textContent)
 const filters = [...wrapper.querySelectorAll('.category-filter')]
 const selectAllBox = document.querySelector('.select-all')
 const dropdown = document.querySelector('.dropdown')
 const allCheckboxes = [selectAllBox, ...filters]
 const filterMenuToggle = document.querySelector('.dropdown-toggle')
+const searchInput = wrapper.querySelector('#blog-search')
+const searchStatus = wrapper.querySelector('.blogs-search-status')
+const loadMoreButton = wrapper.querySelector('.blogs-load-more')
 
-// create post links
+// Generated with the site from /blog/search-index.json, and only fetched once a search is made
+const SEARCH_INDEX_URL = '/blog/search-index.json'
+const SEARCH_PARAM = 'q'
+const SNIPPET_LENGTH = 160
+const PAGE_PARAM = 'page'
+// how long typing has to pause, in milliseconds, before the posts are searched
+const SEARCH_DELAY = 200
+
+const pageCount = Math.ceil(postCount / pageSize)
+
+// How much a match in each field of the index counts towards a post's ranking
+const searchFieldWeights = {
+  title: 10,
+  authors: 6,
+  categories: 4,
+  excerpt: 3,
+  text: 1,
+}
+
+// reads the number of pages to show from the URL, allowing only digits and at most the pages there are
+const parsePageCount = (value) =>
+  /^\d+$/.test(value) ? Math.max(1, Math.min(pageCount, Number(value))) : 1
+
+let searchIndex = null
+let loadedPageCount = 1
+let nextPageLoad = null
+let shownPageCount = parsePageCount(
+  new URLSearchParams(window.location.search).get(PAGE_PARAM),
+)
+let refreshCount = 0
+let searchTimer = null
+
+const createElement = (type, className, text) => {
+  const element = document.createElement(type)
+  element.className = className
+  element.textContent = text
+  return element
+}
+
+// create post links, post data is plain text
 const createAnchor = (postData) => {
   const anchor = document.createElement('a')
   anchor.href = postData.url
   anchor.classList = 'post-link'
-  anchor.innerHTML = `
-    <h3 class="title">${postData.title}</h3>
-    <time pubdate datetime="${postData.date}" class="blog-date">${postData.date}</time>
-    <p class="body-copy">${postData.excerpt}</p>
-    ${postData.categories.reduce((markup, category) => {
-      return markup + ` <span class="category body-copy">${category}</span>`
-    }, '')}
-    `
+
+  const time = createElement('time', 'blog-date', postData.date)
+  time.setAttribute('pubdate', '')
+  time.setAttribute('datetime', postData.date)
+
+  anchor.append(
+    createElement('h3', 'title', postData.title),
+    time,
+    createElement('p', 'body-copy', postData.excerpt),
+  )
+  postData.categories.forEach((category) => {
+    anchor.append(' ', createElement('span', 'category body-copy', category))
+  })
   return anchor
 }
 
@@ -30,7 +82,7 @@ const selectAllCategories = (selectAllBox, checkboxes) => {
       checkbox.checked = true
     })
 
-    updatePosts(filterPosts(elementsCache, checkboxes), postsWrapper)
+    resetPosts()
   }
 }
 
@@ -50,6 +102,267 @@ const filterPosts = (elementsCache, checkboxes) => {
   return filteredPosts
 }
 
+const createIndexEntry = (entry) => ({
+  data: entry,
+  text: entry.text || '',
+  fields: Object.keys(searchFieldWeights).reduce((fields, field) => {
+    fields[field] = []
+      .concat(entry[field] || [])
+      .join(' ')
+      .toLowerCase()
+    return fields
+  }, {}),
+})
+
+// fetches the search index. Without it, only the titles and excerpts of the posts loaded so far can be searched
+const loadSearchIndex = () => {
+  if (!searchIndex) {
+    const indexLoad = fetch(SEARCH_INDEX_URL)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Unexpected HTTP status ${response.status}`)
+        }
+        return response.json()
+      })
+      .then((entries) => ({
+        entries: entries.map(createIndexEntry),
+        isComplete: true,
+      }))
+
+    // Try again with the next search instead of keeping the partial index
+    searchIndex = indexLoad
+    indexLoad.catch(() => {
+      if (searchIndex === indexLoad) searchIndex = null
+    })
+  }
+
+  return searchIndex.catch((error) => {
+    console.warn('Unable to load the blog search index', error)
+    return {
+      entries: elementsCache.map((post) => createIndexEntry(post.data)),
+      isComplete: false,
+    }
+  })
+}
+
+// splits a search into lowercase terms, keeping "quoted phrases" together
+const parseSearchTerms = (query) => {
+  const terms = []
+  for (const match of query.matchAll(/"([^"]*)"?|(\S+)/g)) {
+    const term = (match[1] ?? match[2]).trim().toLowerCase()
+    if (term && !terms.includes(term)) terms.push(term)
+  }
+  return terms
+}
+
+const countOccurrences = (text, term) => {
+  let count = 0
+  for (let index = text.indexOf(term); index !== -1 && count < 5; count++) {
+    index = text.indexOf(term, index + term.length)
+  }
+  return count
+}
+
+// every term has to match, posts that mention terms more often or in weightier fields rank higher
+const scorePost = (entry, terms) => {
+  let score = 0
+  for (const term of terms) {
+    const termScore = Object.keys(searchFieldWeights).reduce((total, field) => {
+      return (
+        total +
+        searchFieldWeights[field] * countOccurrences(entry.fields[field], term)
+      )
+    }, 0)
+
+    if (!termScore) return 0
+    score += termScore
+  }
+
+  // "result builders" should rank posts about result builders above those that mention both words
+  const phrase = terms.join(' ')
+  if (terms.length > 1 && entry.fields.title.includes(phrase)) {
+    score += searchFieldWeights.title * 2
+  }
+  if (terms.length > 1 && entry.fields.text.includes(phrase)) {
+    score += searchFieldWeights.excerpt * 2
+  }
+  return score
+}
+
+// wraps each occurrence of the terms in the text of an element with a mark
+const highlightTerms = (element, terms) => {
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT)
+  const textNodes = []
+  while (walker.nextNode()) textNodes.push(walker.currentNode)
+
+  textNodes.forEach((textNode) => {
+    const text = textNode.data
+    const lowercaseText = text.toLowerCase()
+    const ranges = []
+    terms.forEach((term) => {
+      for (
+        let index = lowercaseText.indexOf(term);
+        index !== -1;
+        index = lowercaseText.indexOf(term, index + term.length)
+      ) {
+        ranges.push({ start: index, end: index + term.length })
+      }
+    })
+    if (!ranges.length) return
+
+    const fragment = document.createDocumentFragment()
+    let position = 0
+    ranges
+      .sort((a, b) => a.start - b.start)
+      .forEach((range) => {
+        if (range.start < position) return
+        fragment.append(text.slice(position, range.start))
+        const mark = document.createElement('mark')
+        mark.textContent = text.slice(range.start, range.end)
+        fragment.append(mark)
+        position = range.end
+      })
+    fragment.append(text.slice(position))
+    textNode.replaceWith(fragment)
+  })
+}
+
+// the part of the post's text around the first match, for posts that only match in their text
+const createSnippet = (entry, terms) => {
+  const positions = terms
+    .map((term) => entry.fields.text.indexOf(term))
+    .filter((index) => index !== -1)
+  if (!positions.length) return null
+
+  // Start a little before the match, at the beginning of a word
+  let start = Math.max(0, Math.min(...positions) - SNIPPET_LENGTH / 4)
+  if (start > 0) start = entry.text.indexOf(' ', start) + 1
+  const snippet = document.createElement('p')
+  snippet.className = 'body-copy search-snippet'
+  snippet.textContent = `${start > 0 ? '…' : ''}${entry.text
+    .slice(start, start + SNIPPET_LENGTH)
+    .trim()}…`
+  return snippet
+}
+
+// orders the posts in the selected categories by how well they match the terms, leaving out those that don't
+const searchPosts = (entries, terms) => {
+  return filterPosts(entries, filters)
+    .map((entry) => ({ entry, score: scorePost(entry, terms) }))
+    .filter((result) => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ entry }) => {
+      const element = createAnchor(entry.data)
+      const matchesSummary = ['title', 'excerpt'].some((field) =>
+        terms.some((term) => entry.fields[field].includes(term)),
+      )
+      const snippet = !matchesSummary && createSnippet(entry, terms)
+      if (snippet) element.querySelector('.body-copy').after(snippet)
+
+      element
+        .querySelectorAll('.title, p')
+        .forEach((node) => highlightTerms(node, terms))
+      return { data: entry.data, elemenet: element }
+    })
+}
+
+// fetches the next page of post data
+const loadNextPage = () => {
+  if (!nextPageLoad) {
+    nextPageLoad = fetch(`/blog/posts-${loadedPageCount + 1}.json`)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Unexpected HTTP status ${response.status}`)
+        }
+        return response.json()
+      })
+      .then((posts) => {
+        elementsCache.push(...posts.map(createPost))
+        loadedPageCount++
+      })
+      .finally(() => {
+        nextPageLoad = null
+      })
+  }
+  return nextPageLoad
+}
+
+// loads pages until `count` posts in the selected categories are loaded, or every post is
+const loadPosts = (count) => {
+  if (
+    loadedPageCount >= pageCount ||
+    filterPosts(elementsCache, filters).length >= count
+  ) {
+    return Promise.resolve()
+  }
+  return loadNextPage().then(() => loadPosts(count))
+}
+
+// keeps the search and the number of pages shown in the URL, so that they can be shared and survive reloads
+const updateURL = (query) => {
+  const url = new URL(window.location.href)
+  if (query) {
+    url.searchParams.set(SEARCH_PARAM, query)
+  } else {
+    url.searchParams.delete(SEARCH_PARAM)
+  }
+  if (shownPageCount > 1) {
+    url.searchParams.set(PAGE_PARAM, shownPageCount)
+  } else {
+    url.searchParams.delete(PAGE_PARAM)
+  }
+  window.history.replaceState(window.history.state, '', url)
+}
+
+// shows the first pages of posts in the selected categories that match the search
+const refreshPosts = () => {
+  const query = searchInput.value.trim()
+  const terms = parseSearchTerms(query)
+  const shownPostCount = shownPageCount * pageSize
+  const refresh = ++refreshCount
+  let isSearchComplete = true
+  updateURL(query)
+
+  // Unless every category is shown, only one more post than is shown tells whether there are more
+  const matchingPosts = terms.length
+    ? loadSearchIndex().then((index) => {
+        isSearchComplete = index.isComplete
+        return searchPosts(index.entries, terms)
+      })
+    : loadPosts(selectAllBox.checked ? shownPostCount : shownPostCount + 1)
+        .catch((error) => console.warn('Unable to load more posts', error))
+        .then(() => filterPosts(elementsCache, filters))
+
+  return matchingPosts.then((posts) => {
+    // The search, categories or page changed while posts were loading
+    if (refresh !== refreshCount) return
+
+    if (!terms.length) {
+      searchStatus.textContent = ''
+    } else if (posts.length) {
+      searchStatus.textContent = `${posts.length} ${posts.length === 1 ? 'post matches' : 'posts match'} “${query}”`
+    } else {
+      searchStatus.textContent = `No posts match “${query}”`
+    }
+    if (!isSearchComplete) {
+      searchStatus.textContent +=
+        '. The search index couldn’t be loaded, so only the titles and excerpts of the posts loaded so far were searched.'
+    }
+
+    updatePosts(posts.slice(0, shownPostCount), postsWrapper)
+    loadMoreButton.hidden = !(
+      posts.length > shownPostCount ||
+      (!terms.length && loadedPageCount < pageCount)
+    )
+  })
+}
+
+// starts over from the first page when the search or categories change
+const resetPosts = () => {
+  shownPageCount = 1
+  refreshPosts()
+}
+
 const updatePosts = (posts, postsWrapper) => {
   postsWrapper.innerHTML = ''
   for (let post of posts) {
@@ -57,14 +370,33 @@ const updatePosts = (posts, postsWrapper) => {
   }
 }
 
-const elementsCache = postData.map((post) => {
+const createPost = (post) => {
   return {
     data: post,
     elemenet: createAnchor(post),
   }
+}
+
+const elementsCache = postData.map(createPost)
+
+searchInput.value =
+  new URLSearchParams(window.location.search).get(SEARCH_PARAM) || ''
+refreshPosts()
+
+searchInput.addEventListener('input', () => {
+  clearTimeout(searchTimer)
+  searchTimer = setTimeout(resetPosts, SEARCH_DELAY)
 })
 
-updatePosts(filterPosts(elementsCache, filters), postsWrapper, postsWrapper)
+loadMoreButton.addEventListener('click', () => {
+  const firstNewPost = shownPageCount * pageSize
+  shownPageCount++
+  refreshPosts().then(() => {
+    // Move keyboard focus to the first of the posts that were added
+    const post = postsWrapper.children[firstNewPost]
+    if (post) post.focus()
+  })
+})
 
 filterMenuToggle.addEventListener('click', () => {
   dropdown.classList.toggle('active')
@@ -106,6 +438,6 @@ filters.forEach((checkbox) => {
       selectAllBox.disabled = false
     }
 
-    updatePosts(filterPosts(elementsCache, filters), postsWrapper)
+    resetPosts()
   })
 })
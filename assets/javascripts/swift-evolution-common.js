@@ -0,0 +1,488 @@
+// This source file is part of the Swift.org open source project
+//
+// Copyright (c) 2026 Apple Inc. and the Swift project authors
+// Licensed under Apache License v2.0 with Runtime Library Exception
+//
+// See http://swift.org/LICENSE.txt for license information
+// See http://swift.org/CONTRIBUTORS.txt for the list of Swift project authors
+//
+// ===---------------------------------------------------------------------===//
+
+// Proposal states, metadata loading, the mapping of each metadata schema version to the
+// internal proposal model and the lookup of translated text, shared by the Swift Evolution
+// dashboard (swift-evolution.js) and the proposal links on other pages (swift-evolution-links.js).
+// Requires swift-evolution-messages.js.
+'use strict'
+
+const EVOLUTION_METADATA_URL = 'https://download.swift.org/swift-evolution/v1/evolution.json'
+
+/** Cache Storage bucket holding the last successfully downloaded metadata. */
+const METADATA_CACHE_NAME = 'swift-evolution-metadata'
+
+/** Response header recording when cached metadata was downloaded. */
+const METADATA_FETCHED_AT_HEADER = 'X-Swift-Evolution-Fetched-At'
+
+/** localStorage key for the locale chosen by the reader. Absent while following the browser's languages. */
+const LOCALE_STORAGE_KEY = 'swift-evolution.locale'
+
+/** Locale of the messages used when no translation matches, and for messages a translation lacks. */
+const DEFAULT_LOCALE = 'en'
+
+/**
+ * Where the proposal metadata is loaded from. Defaults to `EVOLUTION_METADATA_URL`,
+ * see `_metadataURLForPage` for how to point the site at other metadata.
+ */
+const metadataURL = _metadataURLForPage()
+
+/** The `messageCatalog` locale used for the page's text, dates and counts. See `_resolveLocale`. */
+const locale = _resolveLocale()
+
+/** Proposal state string constants */
+const State = Object.freeze({
+  awaitingReview: 'awaitingReview',
+  scheduledForReview: 'scheduledForReview',
+  activeReview: 'activeReview',
+  returnedForRevision: 'returnedForRevision',
+  withdrawn: 'withdrawn',
+  accepted: 'accepted',
+  acceptedWithRevisions: 'acceptedWithRevisions',
+  rejected: 'rejected',
+  implemented: 'implemented',
+  previewing: 'previewing',
+  error: 'error',
+  unknown: 'unknown',
+})
+
+/**
+ * property names: Proposal state string constants
+ *
+ * `name`: Mapping of the states in the proposals JSON to human-readable names.
+ *
+ * `shortName`:  Mapping of the states in the proposals JSON to short human-readable names.
+ *  Used for the left-hand column of proposal statuses.
+ *
+ * `phrase`: Optional wording for use in a sentence, e.g. 'In Active Review'. Defaults to `shortName`.
+ *
+ * `className`: Mapping of states in the proposals JSON to the CSS class names used
+ * to manipulate and display proposals based on their status.
+ *
+ * `count`: Number of proposals with that state. Calculated after proposals are loaded.
+ *
+ * The English names are replaced with the ones for `locale` when the dashboard loads.
+ */
+const states = {
+  [State.awaitingReview]: {
+    name: 'Awaiting Review',
+    shortName: 'Awaiting Review',
+    className: 'awaiting-review',
+    count: 0
+  },
+  [State.scheduledForReview]: {
+    name: 'Scheduled for Review',
+    shortName: 'Scheduled',
+    className: 'scheduled-for-review',
+    count: 0
+  },
+  [State.activeReview]: {
+    name: 'Active Review',
+    shortName: 'Active Review',
+    phrase: 'In Active Review',
+    className: 'active-review',
+    count: 0
+  },
+  [State.returnedForRevision]: {
+    name: 'Returned for Revision',
+    shortName: 'Returned',
+    className: 'returned-for-revision',
+    count: 0
+  },
+  [State.withdrawn]: {
+    name: 'Withdrawn',
+    shortName: 'Withdrawn',
+    className: 'withdrawn',
+    count: 0
+  },
+  [State.accepted]: {
+    name: 'Accepted',
+    shortName: 'Accepted',
+    className: 'accepted',
+    count: 0
+  },
+  [State.acceptedWithRevisions]: {
+    name: 'Accepted with revisions',
+    shortName: 'Accepted',
+    className: 'accepted-with-revisions',
+    count: 0
+  },
+  [State.rejected]: {
+    name: 'Rejected',
+    shortName: 'Rejected',
+    className: 'rejected',
+    count: 0
+  },
+  [State.implemented]: {
+    name: 'Implemented',
+    shortName: 'Implemented',
+    className: 'implemented',
+    count: 0
+  },
+  [State.previewing]: {
+    name: 'Previewing',
+    shortName: 'Previewing',
+    className: 'previewing',
+    count: 0
+  },
+  [State.error]: {
+    name: 'Error',
+    shortName: 'Error',
+    className: 'error',
+    count: 0
+  },
+  // Stands in for states added to the metadata after this code was written. See `_normalizeProposal`.
+  [State.unknown]: {
+    name: 'Unknown Status',
+    shortName: 'Unknown',
+    className: 'unknown',
+    count: 0
+  }
+}
+
+/**
+ * Readers for the supported major versions of the metadata schema, keyed by major version.
+ * Only these readers know how a given version names things; everything else works with
+ * the internal model they produce, see `normalizeMetadata`.
+ *
+ * `implementationVersions`: Returns the Swift versions that proposals have been implemented in.
+ *
+ * `proposal`: Returns the fields of a proposal that differ from the internal model, mapped to it.
+ */
+const metadataSchemas = {
+  // The format published at `EVOLUTION_METADATA_URL`, which the internal model follows.
+  1: {
+    implementationVersions: function (metadata) { return metadata.implementationVersions },
+    proposal: function () { return {} }
+  },
+  // 2.x renames `implementationVersions` to `languageVersions`, moves the review dates
+  // into `status.review` and names upcoming feature flags with `name` instead of `flag`.
+  2: {
+    implementationVersions: function (metadata) { return metadata.languageVersions },
+    proposal: function (proposal) {
+      var fields = {}
+      var status = proposal.status
+      if (status && typeof status === 'object') {
+        var review = status.review || {}
+        fields.status = Object.assign({}, status, { start: review.start, end: review.end })
+        delete fields.status.review
+      }
+      var flag = proposal.upcomingFeatureFlag
+      if (flag && typeof flag === 'object') fields.upcomingFeatureFlag = Object.assign({}, flag, { flag: flag.name })
+      return fields
+    }
+  }
+}
+
+/**
+ * @typedef {Object} Proposal
+ * A proposal in the internal model, whatever the schema version of the metadata it came from.
+ * Proposals that fail `proposalProblems` may lack any of these.
+ * @property {string} id - `SE-nnnn`.
+ * @property {string} title
+ * @property {string} link - The path of the proposal document in the swift-evolution repository.
+ * @property {{name: string, link: string}[]} authors
+ * @property {{name: string, link: string}[]} reviewManagers
+ * @property {Object} status - `state` is one of the `State` values. Reviews have `start` and `end`
+ *   dates, implemented proposals a `version`. A state that isn't known here is `State.unknown`,
+ *   with the metadata's value in `unrecognizedState`.
+ * @property {Object[]} [trackingBugs]
+ * @property {Object[]} [implementation] - Pull requests and commits, with `account`, `repository`, `type` and `id`.
+ * @property {{flag: string}} [upcomingFeatureFlag]
+ * @property {Object[]} [errors] - Problems the metadata extractor found in the proposal document.
+ * @property {Object} source - The proposal's entry in the metadata, as published. Not enumerable,
+ *   so it's left out when the proposal is copied or serialized. See `proposalsJSON`.
+ */
+
+/**
+ * Maps decoded metadata of any supported schema version to the internal model.
+ *
+ * @param {Object} metadata - Decoded metadata with a supported `schemaVersion`, see `_metadataSchema`.
+ * @returns {{implementationVersions: string[], proposals: Proposal[]}}
+ */
+function normalizeMetadata(metadata) {
+  var schema = _metadataSchema(metadata)
+  return {
+    implementationVersions: schema.implementationVersions(metadata),
+    proposals: metadata.proposals.map(function (proposal) { return _normalizeProposal(proposal, schema) })
+  }
+}
+
+/**
+ * The reader for the schema version of `metadata`.
+ *
+ * @param {Object} metadata - Decoded metadata.
+ * @returns {?Object} An entry of `metadataSchemas`, or null if the version isn't supported.
+ */
+function _metadataSchema(metadata) {
+  var version = metadata && metadata.schemaVersion
+  if (typeof version !== 'string') return null
+
+  var majorVersion = version.split('.')[0]
+  return Object.prototype.hasOwnProperty.call(metadataSchemas, majorVersion) ? metadataSchemas[majorVersion] : null
+}
+
+/**
+ * Maps a proposal to the internal model. States that aren't known here become `State.unknown`,
+ * so that a new state in the metadata doesn't keep its proposals off the page.
+ * Values that aren't objects are returned as they are, to be reported by `proposalProblems`.
+ */
+function _normalizeProposal(proposal, schema) {
+  if (!proposal || typeof proposal !== 'object') return proposal
+
+  var normalized = Object.assign({}, proposal, schema.proposal(proposal))
+  var status = normalized.status
+  if (status && typeof status === 'object' && !Object.prototype.hasOwnProperty.call(states, status.state)) {
+    normalized.status = Object.assign({}, status, { state: State.unknown, unrecognizedState: status.state })
+  }
+
+  Object.defineProperty(normalized, 'source', { value: proposal })
+  return normalized
+}
+
+/**
+ * Serializes proposals in the shape of their metadata, rather than the internal model,
+ * so the text can be read like the proposals in `evolution.json`.
+ *
+ * @param {Proposal[]} proposals - Proposals produced by `normalizeMetadata`.
+ * @returns {string} Indented JSON text of an array of the proposals' metadata entries.
+ */
+function proposalsJSON(proposals) {
+  return JSON.stringify(proposals.map(function (proposal) { return proposal.source }), null, 2)
+}
+
+/**
+ * @typedef {Object} CachedMetadata
+ * @property {string} text - The raw JSON text, used to detect changes.
+ * @property {Object} metadata - The decoded metadata.
+ * @property {Date} fetchedAt - When the metadata was downloaded.
+ */
+
+/**
+ * Reads the last successfully downloaded metadata from Cache Storage.
+ *
+ * @returns {Promise<?CachedMetadata>} The cached metadata, or null if there is none
+ *   or the browser doesn't support Cache Storage.
+ */
+function _readCachedMetadata() {
+  if (!window.caches) return Promise.resolve(null)
+
+  return window.caches.open(METADATA_CACHE_NAME).then(function (cache) {
+    return cache.match(metadataURL)
+  }).then(function (response) {
+    if (!response) return null
+
+    return response.text().then(function (text) {
+      return {
+        text: text,
+        metadata: JSON.parse(text),
+        fetchedAt: new Date(response.headers.get(METADATA_FETCHED_AT_HEADER))
+      }
+    })
+  }).catch(function (error) {
+    console.warn('Ignoring unreadable cached proposal data', error)
+    return null
+  })
+}
+
+/**
+ * Determines where to load the proposal metadata from, so that forks of swift-evolution
+ * can preview their own metadata. In order of precedence:
+ *
+ * - The `metadata` query parameter of the page URL, e.g. `/swift-evolution/?metadata=/evolution.json`.
+ *   Only on the dashboard, which names the source of metadata it didn't load from swift.org
+ *   in `#metadata-source`. Elsewhere, a link could have swift.org show made-up proposal details.
+ * - The `content` of a `<meta name="swift-evolution-metadata-url">` element. The site
+ *   layouts emit one when the Jekyll configuration sets `swift_evolution_metadata_url`.
+ * - `EVOLUTION_METADATA_URL`.
+ *
+ * Relative URLs, such as a fixture file served alongside the site, are resolved against the page.
+ * Only http and https URLs are accepted.
+ *
+ * @returns {string} An absolute URL.
+ */
+function _metadataURLForPage() {
+  var metaElement = document.querySelector('meta[name="swift-evolution-metadata-url"]')
+  var isDashboard = Boolean(document.querySelector('#metadata-source'))
+  var candidates = [
+    isDashboard && new URLSearchParams(window.location.search).get('metadata'),
+    metaElement && metaElement.getAttribute('content')
+  ]
+
+  for (var i = 0; i < candidates.length; i++) {
+    if (!candidates[i]) continue
+    try {
+      var url = new URL(candidates[i], document.baseURI)
+      if (url.protocol === 'https:' || url.protocol === 'http:') return url.href
+    } catch (error) {
+      // Fall through to the next candidate.
+    }
+    console.warn('Ignoring invalid proposal metadata URL', candidates[i])
+  }
+
+  return EVOLUTION_METADATA_URL
+}
+
+/**
+ * Picks the `messageCatalog` locale for the page: the one the reader chose with `#locale-select`,
+ * otherwise the first of the browser's preferred languages with a translation.
+ * Regional variants match their language, e.g. 'de-AT' uses 'de' and 'zh-CN' uses 'zh-Hans'.
+ */
+function _resolveLocale() {
+  var requested = [_readStorage(LOCALE_STORAGE_KEY, null)]
+    .concat(navigator.languages || [navigator.language])
+    .filter(function (tag) { return typeof tag === 'string' && tag })
+  var available = Object.keys(messageCatalog)
+
+  var maximized = function (tag) {
+    try {
+      var components = new Intl.Locale(tag).maximize()
+      return components.language + '-' + components.script
+    } catch (error) {
+      return null
+    }
+  }
+
+  for (var i = 0; i < requested.length; i++) {
+    var exactMatch = available.filter(function (tag) { return tag.toLowerCase() === requested[i].toLowerCase() })[0]
+    if (exactMatch) return exactMatch
+
+    var languageMatch = available.filter(function (tag) {
+      return maximized(tag) && maximized(tag) === maximized(requested[i])
+    })[0]
+    if (languageMatch) return languageMatch
+  }
+
+  return DEFAULT_LOCALE
+}
+
+/**
+ * Looks up the text for a message in `locale`, falling back to English.
+ *
+ * @param {string} key - A key in `messageCatalog`.
+ * @param {Object} [parameters] - Values for the message's `{name}` placeholders.
+ *   Plural messages choose their form using `parameters.count`.
+ * @returns {string} The message, or the key when no translation has it.
+ */
+function t(key, parameters) {
+  var message = _message(key)
+  if (message === undefined) return key
+  parameters = parameters || {}
+
+  if (typeof message === 'object') {
+    var category = new Intl.PluralRules(locale).select(parameters.count)
+    message = message[category] || message.other
+  }
+
+  return message.replace(/\{(\w+)\}/g, function (placeholder, name) {
+    var value = parameters[name]
+    if (value === undefined) return placeholder
+    return typeof value === 'number' ? value.toLocaleString(locale) : String(value)
+  })
+}
+
+/**
+ * Like `t`, but for messages with elements among their parameters, such as a link or a date.
+ *
+ * @param {string} key - A key in `messageCatalog`.
+ * @param {Object} [parameters] - Values for the message's `{name}` placeholders, which may be Nodes.
+ * @returns {(string | Node)[]} The message's text, split around the nodes it contains.
+ */
+function tNodes(key, parameters) {
+  var nodes = {}
+  var textParameters = {}
+  Object.keys(parameters || {}).forEach(function (name) {
+    if (parameters[name] instanceof Node) nodes[name] = parameters[name]
+    else textParameters[name] = parameters[name]
+  })
+
+  // Splitting on a capturing group alternates text with the names of the remaining placeholders.
+  return t(key, textParameters).split(/\{(\w+)\}/).map(function (part, index) {
+    return index % 2 ? nodes[part] || '{' + part + '}' : part
+  }).filter(function (part) { return part !== '' })
+}
+
+/** The raw catalog entry for a message in `locale` or English, if either has one. */
+function _message(key) {
+  var translations = messageCatalog[locale]
+  if (translations && translations[key] !== undefined) return translations[key]
+  return messageCatalog[DEFAULT_LOCALE][key]
+}
+
+/** Replaces the English names in `states` with the ones for `locale`. */
+function _localizeStates() {
+  Object.keys(states).forEach(function (state) {
+    states[state].name = t('state.' + state)
+    states[state].shortName = t('state.' + state + '.short')
+    var phrase = _message('state.' + state + '.phrase')
+    if (phrase) states[state].phrase = phrase
+  })
+}
+
+/**
+ * Reads a JSON value from localStorage.
+ *
+ * @param {string} key - The storage key.
+ * @param {*} fallback - Returned when nothing is stored, or storage is unavailable or corrupt.
+ */
+function _readStorage(key, fallback) {
+  try {
+    var value = window.localStorage.getItem(key)
+    return value === null ? fallback : JSON.parse(value)
+  } catch (error) {
+    return fallback
+  }
+}
+
+/** Writes a JSON value to localStorage. Failures, such as a full or disabled storage, are ignored. */
+function _writeStorage(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value))
+  } catch (error) {
+    console.warn('Unable to save ' + key, error)
+  }
+}
+
+/**
+ * Creates an Element. Convenience wrapper for `document.createElement`.
+ *
+ * @param {string} elementType - The tag name. 'div', 'span', etc.
+ * @param {string[]} attributes - A list of attributes. Use `className` for `class`.
+ * @param {(string | Element)[]} children - A list of either text or other Elements to be nested under this Element.
+ * @returns {Element} The new node.
+ */
+function html(elementType, attributes, children) {
+  var element = document.createElement(elementType)
+
+  if (attributes) {
+    Object.keys(attributes).forEach(function (attributeName) {
+      var value = attributes[attributeName]
+      if (attributeName === 'className') attributeName = 'class'
+      element.setAttribute(attributeName, value)
+    })
+  }
+
+  if (!children) return element
+  if (!Array.isArray(children)) children = [children]
+
+  children.forEach(function (child) {
+    if (!child) {
+      console.warn('Null child ignored during creation of ' + elementType)
+      return
+    }
+    if (Object.getPrototypeOf(child) === String.prototype) {
+      child = document.createTextNode(child)
+    }
+
+    element.appendChild(child)
+  })
+
+  return element
+}
@@ -0,0 +1,757 @@
+// This source file is part of the Swift.org open source project
+//
+// Copyright (c) 2026 Apple Inc. and the Swift project authors
+// Licensed under Apache License v2.0 with Runtime Library Exception
+//
+// See http://swift.org/LICENSE.txt for license information
+// See http://swift.org/CONTRIBUTORS.txt for the list of Swift project authors
+//
+// ===---------------------------------------------------------------------===//
+
+// Searching and filtering of the Swift Evolution dashboard's proposals: the search query
+// language, a search index, and the filters of the filter panel. Nothing here reads or
+// changes the page, so it can be tested without a browser, see /test/swift-evolution-filter.test.js.
+// Requires swift-evolution-common.js.
+'use strict'
+
+/** Facets of the filter panel. Values appear in the URI fragment. */
+const Facet = Object.freeze({
+  reviewManager: 'manager',
+  author: 'author',
+  repository: 'repo'
+})
+
+/**
+ * property names: `Facet` values
+ *
+ * `values`: The facet values of a proposal. Selecting several values of a facet shows the
+ * proposals with any of them, while selections in different facets all have to match.
+ */
+const proposalFacets = {
+  [Facet.reviewManager]: {
+    values: function (proposal) {
+      return proposal.reviewManagers.map(function (manager) { return manager.name })
+    }
+  },
+  [Facet.author]: {
+    values: function (proposal) {
+      return proposal.authors.map(function (author) { return author.name })
+    }
+  },
+  [Facet.repository]: {
+    values: function (proposal) {
+      var repositories = (proposal.implementation || []).map(function (implementation) {
+        return implementation.account + '/' + implementation.repository
+      })
+      return repositories.filter(function (repository, index) { return repositories.indexOf(repository) === index })
+    }
+  }
+}
+
+/**
+ * Properties matched by search terms that aren't qualified with a field name.
+ * Each entry is a path into a proposal. Arrays are searched one level deep.
+ */
+const searchableProperties = [
+  ['id'],
+  ['title'],
+  ['reviewManagers', 'name'],
+  ['status', 'state'],
+  ['status', 'version'],
+  ['authors', 'name'],
+  ['authors', 'link'],
+  ['implementation', 'account'],
+  ['implementation', 'repository'],
+  ['implementation', 'id'],
+  ['trackingBugs', 'link'],
+  ['trackingBugs', 'status'],
+  ['trackingBugs', 'id'],
+  ['trackingBugs', 'assignee'],
+  ['upcomingFeatureFlag', 'flag']
+]
+
+/**
+ * Fields that can qualify a search term, as in `author:"Holly Borla"`.
+ *
+ * `aliases`: Alternate spellings accepted by the parser. The key is the canonical name.
+ *
+ * `properties`: Paths into a proposal that are matched against the term's value.
+ *
+ * `match`: Custom matching function, used instead of `properties`.
+ *
+ * `comparable`: Whether the field supports the `=`, `<`, `<=`, `>` and `>=` operators.
+ *
+ * `highlight`: Selector, relative to a proposal, of the nodes in which matches are highlighted.
+ */
+const searchFields = {
+  id: { properties: [['id']] },
+  title: { properties: [['title']], highlight: '.proposal-title' },
+  author: { aliases: ['authors'], properties: [['authors', 'name'], ['authors', 'link']], highlight: '.authors .proposal-detail-value' },
+  manager: { aliases: ['reviewer', 'review-manager'], properties: [['reviewManagers', 'name']], highlight: '.review-managers .proposal-detail-value' },
+  status: { aliases: ['state'], match: _proposalMatchesStatus },
+  version: { comparable: true, match: _proposalMatchesVersion },
+  flag: { aliases: ['upcoming'], properties: [['upcomingFeatureFlag', 'flag']], highlight: '.upcoming-feature-flag .proposal-detail-value' },
+  bug: { aliases: ['bugs'], properties: [['trackingBugs', 'id'], ['trackingBugs', 'link']], highlight: '.bug-list' },
+  repo: { aliases: ['repository', 'implementation'], properties: [['implementation', 'account'], ['implementation', 'repository']], highlight: '.implementation-list' }
+}
+
+/**
+ * How much a match in each top-level proposal property contributes to a proposal's relevance.
+ * Title matches rank above matches in people, bugs and implementation links.
+ */
+const searchPropertyWeights = {
+  id: 8,
+  title: 10,
+  upcomingFeatureFlag: 6,
+  authors: 4,
+  reviewManagers: 3,
+  status: 2,
+  implementation: 2,
+  trackingBugs: 2
+}
+
+/** How much each kind of textual match contributes to a proposal's relevance. */
+const searchMatchQuality = Object.freeze({
+  word: 1,
+  prefix: 0.8,
+  substring: 0.6,
+  typo: 0.4,
+  none: 0
+})
+
+/**
+ * Parses the text of the search field into a query.
+ *
+ * Grammar:
+ *   query --> clause | clause query          (clauses are combined with "and")
+ *   clause --> unary | unary `OR` clause
+ *   unary --> `-` unary | `(` query `)` | term
+ *   term --> value | field operator value
+ *   field --> `id` | `title` | `author` | `manager` | `status` | `version` | `flag` | `bug` | `repo`
+ *   operator --> `:` | `=` | `<` | `<=` | `>` | `>=`
+ *   value --> word | `"` ** Any text, with `\"` for a literal quote. ** `"`
+ *
+ * For example:
+ *   author:"Holly Borla" status:implemented version>=5.9 flag:StrictConcurrency
+ *   (status:accepted OR status:implemented) -author:doug
+ *
+ * The comparison operators are only supported by `version`. There, `:` matches every
+ * version starting with the given components (`version:5` matches 5.9), while `=` is exact.
+ *
+ * @param {string} text - The raw text entered by the user.
+ * @returns {{query: ?Object, error: ?SyntaxError}} The parsed
+ *   query, which is null for blank text, or a description of the first syntax error.
+ */
+function parseSearchQuery(text) {
+  var tokens
+  try {
+    tokens = _tokenizeSearchQuery(text)
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) throw error
+    return { query: null, error: error }
+  }
+
+  var index = 0
+  var peek = function () { return tokens[index] }
+  var fail = function (message, token) {
+    throw _searchSyntaxError(message, token ? token.position : text.length)
+  }
+
+  function parseQuery(isNested) {
+    var clauses = []
+    while (peek() && peek().type !== ')') {
+      clauses.push(parseClause())
+    }
+    if (!isNested && peek()) fail(t('search.unmatchedParenthesis'), peek())
+    if (!clauses.length) fail(t(isNested ? 'search.emptyParentheses' : 'search.empty'), peek())
+    return clauses.length === 1 ? clauses[0] : { type: 'and', clauses: clauses }
+  }
+
+  function parseClause() {
+    var clauses = [parseUnary()]
+    while (peek() && peek().type === 'OR') {
+      var orToken = tokens[index++]
+      if (!peek() || peek().type === ')' || peek().type === 'OR') {
+        fail(t('search.orWithoutTerm'), orToken)
+      }
+      clauses.push(parseUnary())
+    }
+    return clauses.length === 1 ? clauses[0] : { type: 'or', clauses: clauses }
+  }
+
+  function parseUnary() {
+    var token = tokens[index++]
+    if (token.type === 'OR') fail(t('search.misplacedOr'), token)
+    if (token.type === '-') {
+      if (!peek() || peek().type === ')' || peek().type === 'OR') fail(t('search.nothingToExclude'), token)
+      return { type: 'not', clause: parseUnary() }
+    }
+    if (token.type === '(') {
+      var nested = parseQuery(true)
+      if (!peek()) fail(t('search.missingParenthesis'), token)
+      index++ // the `)`
+      return nested
+    }
+    return token.term
+  }
+
+  try {
+    return { query: tokens.length ? parseQuery(false) : null, error: null }
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) throw error
+    return { query: null, error: error }
+  }
+}
+
+/**
+ * Reads search text that is nothing but a comma-separated list of proposal IDs, like `SE-0401,SE-0430`.
+ * The search field shows exactly those proposals for such a list, instead of parsing it as a query.
+ *
+ * @param {string} text - The raw text entered by the user.
+ * @returns {?string[]} The uppercased IDs, or null when the text is anything other than an ID list.
+ */
+function parseProposalIDList(text) {
+  if (!/^\s*SE-\d{4}(\s*,\s*SE-\d{4})*\s*$/i.test(text)) return null
+  return text.split(',').map(function (id) { return id.trim().toUpperCase() })
+}
+
+/**
+ * Splits search text into tokens for `parseSearchQuery`.
+ * Throws a `SyntaxError` with an additional `position` property for malformed terms.
+ */
+function _tokenizeSearchQuery(text) {
+  var tokens = []
+  var position = 0
+  var fieldPattern = /^([a-z][a-z-]*)(:|>=|<=|=|>|<)/i
+
+  var fail = function (message, at) {
+    throw _searchSyntaxError(message, at)
+  }
+
+  function readValue(start) {
+    if (text[position] !== '"') {
+      var word = text.substring(position).match(/^[^\s()"]*/)[0]
+      position += word.length
+      return { value: word, quoted: false }
+    }
+
+    var value = ''
+    position++ // the opening quote
+    while (position < text.length && text[position] !== '"') {
+      if (text[position] === '\\' && position + 1 < text.length) position++
+      value += text[position++]
+    }
+    if (position >= text.length) fail(t('search.unterminatedQuote'), start)
+    position++ // the closing quote
+    return { value: value, quoted: true }
+  }
+
+  while (position < text.length) {
+    var character = text[position]
+    var start = position
+
+    if (/\s/.test(character)) {
+      position++
+    } else if (character === '(' || character === ')') {
+      tokens.push({ type: character, position: start })
+      position++
+    } else if (character === '-' && position + 1 < text.length && !/\s/.test(text[position + 1])) {
+      tokens.push({ type: '-', position: start })
+      position++
+    } else {
+      var term = { field: null, operator: null }
+      var qualifier = text.substring(position).match(fieldPattern)
+
+      // Words like `https://…` are plain text rather than a field named `https`.
+      if (qualifier && text.substr(position + qualifier[0].length, 2) !== '//') {
+        term.field = _canonicalSearchField(qualifier[1])
+        term.operator = qualifier[2]
+        if (!term.field) {
+          fail(t('search.unknownField', { field: qualifier[1], fields: Object.keys(searchFields).join(', ') }), start)
+        }
+        if (term.operator !== ':' && !searchFields[term.field].comparable) {
+          fail(t('search.comparisonField', { operator: qualifier[2] }), start)
+        }
+        position += qualifier[0].length
+      }
+
+      var valueStart = position
+      var parsedValue = readValue(start)
+      term.value = parsedValue.value
+
+      if (term.field && !term.value.length) fail(t('search.missingValue', { field: qualifier[0] }), start)
+      if (term.field === 'version' && term.operator !== ':' && !_isVersionString(term.value)) {
+        fail(t('search.expectedVersion'), valueStart)
+      }
+
+      if (!term.field && !parsedValue.quoted && term.value === 'OR') {
+        tokens.push({ type: 'OR', position: start })
+      } else {
+        tokens.push({ type: 'term', position: start, term: Object.assign({ type: 'term' }, term) })
+      }
+    }
+  }
+
+  return tokens
+}
+
+/** Creates the error reported for malformed search text. `position` is a 0-based index into the text. */
+function _searchSyntaxError(message, position) {
+  var error = new SyntaxError(t('search.position', { message: message, position: position + 1 }))
+  error.position = position
+  return error
+}
+
+/** Maps a field name or alias typed by the user to a key of `searchFields`. */
+function _canonicalSearchField(name) {
+  name = name.toLowerCase()
+  return Object.keys(searchFields).filter(function (field) {
+    return field === name || (searchFields[field].aliases || []).indexOf(name) !== -1
+  })[0]
+}
+
+/**
+ * Converts a parsed query back into search text. Used to write the search to
+ * the URI fragment in a canonical form that `parseSearchQuery` reads back identically.
+ *
+ * @param {Object} query - A query produced by `parseSearchQuery`.
+ * @returns {string} Search text.
+ */
+function stringifySearchQuery(query) {
+  switch (query.type) {
+    case 'and':
+      return query.clauses.map(function (clause) {
+        return clause.type === 'and' ? '(' + stringifySearchQuery(clause) + ')' : stringifySearchQuery(clause)
+      }).join(' ')
+    case 'or':
+      return query.clauses.map(function (clause) {
+        return clause.type === 'and' || clause.type === 'or'
+          ? '(' + stringifySearchQuery(clause) + ')'
+          : stringifySearchQuery(clause)
+      }).join(' OR ')
+    case 'not':
+      return '-' + (query.clause.type === 'term' || query.clause.type === 'not'
+        ? stringifySearchQuery(query.clause)
+        : '(' + stringifySearchQuery(query.clause) + ')')
+    default:
+      var value = query.value
+      if (!value.length || /[\s()"]/.test(value) || /^-/.test(value) || value === 'OR' || (!query.field && /^[a-z][a-z-]*(:|=|<|>)/i.test(value))) {
+        value = '"' + value.replace(/(["\\])/g, '\\$1') + '"'
+      }
+      return (query.field ? query.field + query.operator : '') + value
+  }
+}
+
+/** Every path into a proposal that `searchableProperties` or `searchFields` match against. */
+const indexedPropertyLists = Object.keys(searchFields).reduce(function (propertyLists, field) {
+  return propertyLists.concat(searchFields[field].properties || [])
+}, searchableProperties).filter(function (propertyList, index, propertyLists) {
+  return propertyLists.findIndex(function (other) { return other.join('.') === propertyList.join('.') }) === index
+})
+
+/**
+ * @typedef {Object} SearchIndex
+ * @property {Proposal[]} proposals - The indexed proposals, in the order search results keep.
+ * @property {Object} entries - For each proposal ID, the `IndexedText` values at each path of
+ *   `indexedPropertyLists`, keyed by the path joined with dots, e.g. `authors.name`.
+ */
+
+/**
+ * @typedef {Object} IndexedText
+ * @property {string} text - A property value.
+ * @property {string} lowercaseText - `text` in lowercase, for case-insensitive matching.
+ * @property {{index: number, length: number, word: string}[]} words - The words of `text`
+ *   compared when tolerating typos, see `_typoMatchWords`.
+ */
+
+/**
+ * Precomputes what searching needs from each proposal, so that searches don't walk the
+ * proposals' properties and lowercase their values again on every keystroke.
+ *
+ * @param {Proposal[]} proposals - The proposals to search.
+ * @returns {SearchIndex}
+ */
+function createSearchIndex(proposals) {
+  var entries = {}
+  proposals.forEach(function (proposal) {
+    var entry = entries[proposal.id] = {}
+    indexedPropertyLists.forEach(function (propertyList) {
+      entry[propertyList.join('.')] = _valuesForProperty(proposal, propertyList).map(function (value) {
+        var text = value.toString()
+        return { text: text, lowercaseText: text.toLowerCase(), words: _typoMatchWords(text) }
+      })
+    })
+  })
+
+  return { proposals: proposals, entries: entries }
+}
+
+/**
+ * Finds the proposals that match a query.
+ *
+ * @param {SearchIndex} index - The proposals to search, see `createSearchIndex`.
+ * @param {Object} query - A query produced by `parseSearchQuery`.
+ * @param {boolean} isRanked - Whether to tolerate typos and order the results by relevance.
+ * @returns {Proposal[]} The proposals that match the query. Ranked results are ordered by
+ *   descending relevance, otherwise the order of the index is kept.
+ */
+function searchProposals(index, query, isRanked) {
+  var scores = {}
+  var matchingProposals = index.proposals.filter(function (proposal) {
+    scores[proposal.id] = _scoreProposal(proposal, index.entries[proposal.id], query, isRanked)
+    return scores[proposal.id] > 0
+  })
+
+  if (isRanked) {
+    // Array.sort is stable, so proposals with equal scores keep their descending SE number order.
+    matchingProposals.sort(function (p1, p2) { return scores[p2.id] - scores[p1.id] })
+  }
+
+  return matchingProposals
+}
+
+/**
+ * Evaluates a parsed query, or one of its clauses, against a single proposal.
+ *
+ * @param {Proposal} proposal - The proposal to evaluate.
+ * @param {Object} entry - The proposal's entry in the `SearchIndex`.
+ * @param {Object} query - A query, or a clause of one, produced by `parseSearchQuery`.
+ * @param {boolean} allowTypos - Whether words that are a small number of edits away count as matches.
+ * @returns {number} The relevance of the proposal, or 0 if it doesn't match.
+ */
+function _scoreProposal(proposal, entry, query, allowTypos) {
+  switch (query.type) {
+    case 'and':
+      var scores = query.clauses.map(function (clause) { return _scoreProposal(proposal, entry, clause, allowTypos) })
+      if (scores.indexOf(0) !== -1) return 0
+      return scores.reduce(function (sum, score) { return sum + score }, 0)
+    case 'or':
+      return Math.max.apply(null, query.clauses.map(function (clause) {
+        return _scoreProposal(proposal, entry, clause, allowTypos)
+      }))
+    case 'not':
+      // Exclusions are matched exactly and don't affect the ranking.
+      return _scoreProposal(proposal, entry, query.clause, false) > 0 ? 0 : 1
+    default:
+      var field = searchFields[query.field]
+      if (field && field.match) return field.match(proposal, query.operator, query.value) ? 1 : 0
+
+      var propertyLists = field ? field.properties : searchableProperties
+      var lowercaseTerm = query.value.toLowerCase()
+
+      return Math.max.apply(null, propertyLists.map(function (propertyList) {
+        var quality = Math.max.apply(null, entry[propertyList.join('.')].map(function (indexedText) {
+          return _textMatchQuality(indexedText, lowercaseTerm, allowTypos)
+        }).concat(searchMatchQuality.none))
+
+        return quality * (searchPropertyWeights[propertyList[0]] || 1)
+      }))
+  }
+}
+
+/**
+ * Grades how well some text matches a search term, case-insensitively.
+ *
+ * @param {IndexedText} indexedText - A proposal property value.
+ * @param {string} lowercaseTerm - The text of a search term, in lowercase.
+ * @param {boolean} allowTypos - Whether words that are a small number of edits away count as matches.
+ * @returns {number} One of the `searchMatchQuality` values.
+ */
+function _textMatchQuality(indexedText, lowercaseTerm, allowTypos) {
+  var lowercaseText = indexedText.lowercaseText
+  var index = lowercaseText.indexOf(lowercaseTerm)
+
+  if (index >= 0) {
+    var isWordStart = index === 0 || /[^a-z0-9]/.test(lowercaseText[index - 1])
+    var end = index + lowercaseTerm.length
+    var isWordEnd = end === lowercaseText.length || /[^a-z0-9]/.test(lowercaseText[end])
+
+    if (isWordStart && isWordEnd) return searchMatchQuality.word
+    if (isWordStart) return searchMatchQuality.prefix
+    return searchMatchQuality.substring
+  }
+
+  if (allowTypos && _typoMatchesInWords(indexedText.words, lowercaseTerm).length) return searchMatchQuality.typo
+  return searchMatchQuality.none
+}
+
+/**
+ * Finds the words in some text that are within a small edit distance of a search term,
+ * e.g. "Sendable" for "sendible". Words in camel case are also compared by their parts,
+ * so "Concurency" finds "StrictConcurrency".
+ *
+ * @param {string} text - The text to search.
+ * @param {string} term - A single-word search term. Short and multi-word terms never match.
+ * @returns {{index: number, length: number}[]} The location of each matching word in `text`.
+ */
+function _typoMatches(text, term) {
+  return _typoMatchesInWords(_typoMatchWords(text), term.toLowerCase())
+}
+
+/**
+ * Splits text into the words that `_typoMatches` compares: whole words, and the parts of
+ * words in camel case.
+ *
+ * @returns {{index: number, length: number, word: string}[]} Each word's location and lowercase text.
+ */
+function _typoMatchWords(text) {
+  var words = []
+  var wordPattern = /[A-Z]?[a-z0-9]+|[A-Z]+(?![a-z])/g
+  var wholeWordPattern = /[A-Za-z0-9]+/g
+  var match
+
+  ;[wholeWordPattern, wordPattern].forEach(function (pattern) {
+    while ((match = pattern.exec(text))) {
+      words.push({ index: match.index, length: match[0].length, word: match[0].toLowerCase() })
+    }
+  })
+
+  return words
+}
+
+/** Picks the words from `_typoMatchWords` that are within a small edit distance of a lowercase search term. */
+function _typoMatchesInWords(words, lowercaseTerm) {
+  var maximumDistance = lowercaseTerm.length >= 8 ? 2 : (lowercaseTerm.length >= 4 ? 1 : 0)
+  if (maximumDistance === 0 || /\s/.test(lowercaseTerm)) return []
+
+  var matches = []
+  words.forEach(function (candidate) {
+    if (Math.abs(candidate.word.length - lowercaseTerm.length) > maximumDistance) return
+    if (_editDistance(candidate.word, lowercaseTerm, maximumDistance) > maximumDistance) return
+
+    var isDuplicate = matches.some(function (existing) {
+      return candidate.index >= existing.index && candidate.index < existing.index + existing.length
+    })
+    if (!isDuplicate) matches.push({ index: candidate.index, length: candidate.length })
+  })
+
+  return matches
+}
+
+/**
+ * Computes the optimal string alignment distance between two strings: the number of
+ * insertions, deletions, substitutions and transpositions of adjacent characters
+ * needed to turn one into the other. Stops early once the distance exceeds `limit`.
+ */
+function _editDistance(a, b, limit) {
+  var previousRow = null
+  var row = []
+  var rowBeforePrevious = null
+
+  for (var j = 0; j <= b.length; j++) row[j] = j
+
+  for (var i = 1; i <= a.length; i++) {
+    rowBeforePrevious = previousRow
+    previousRow = row
+    row = [i]
+    var rowMinimum = i
+
+    for (j = 1; j <= b.length; j++) {
+      var cost = a[i - 1] === b[j - 1] ? 0 : 1
+      row[j] = Math.min(previousRow[j] + 1, row[j - 1] + 1, previousRow[j - 1] + cost)
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], rowBeforePrevious[j - 2] + 1)
+      }
+      rowMinimum = Math.min(rowMinimum, row[j])
+    }
+
+    if (rowMinimum > limit) return rowMinimum
+  }
+
+  return row[b.length]
+}
+
+/**
+ * Picks out the values at a path like `['authors', 'name']` in a proposal.
+ * For arrays, the rest of the path is applied to each child element.
+ * Note that this only looks to a depth of one property.
+ */
+function _valuesForProperty(proposal, propertyList) {
+  var value = proposal[propertyList[0]]
+  if (value === undefined || value === null) return []
+  if (propertyList.length === 1) return [value]
+
+  var children = Array.isArray(value) ? value : [value]
+  return children.map(function (child) {
+    return child[propertyList[1]]
+  }).filter(function (childValue) {
+    return childValue !== undefined && childValue !== null && childValue !== ''
+  })
+}
+
+/**
+ * Matches `status:` terms. States are compared without punctuation or case, and
+ * partial names match, so `status:accepted` also finds proposals accepted with revisions.
+ */
+function _proposalMatchesStatus(proposal, operator, value) {
+  var normalize = function (string) { return string.toLowerCase().replace(/[^a-z]/g, '') }
+  var expected = normalize(value)
+  var state = states[proposal.status.state]
+
+  return [proposal.status.state, state ? state.name : ''].some(function (candidate) {
+    return normalize(candidate).indexOf(expected) === 0
+  })
+}
+
+/** Matches `version` terms against the version in which a proposal was implemented. */
+function _proposalMatchesVersion(proposal, operator, value) {
+  var version = proposal.status.version
+  if (!version) return false
+
+  if (operator === ':') {
+    if (!_isVersionString(value)) return version.toLowerCase().indexOf(value.toLowerCase()) >= 0
+    var prefix = value.split('.')
+    var components = version.split('.')
+    return prefix.every(function (component, index) {
+      return components[index] !== undefined && components[index].toLowerCase() === component.toLowerCase()
+    })
+  }
+
+  if (!_isVersionString(version)) return false
+  var comparison = _compareVersions(version, value)
+  switch (operator) {
+    case '=': return comparison === 0
+    case '<': return comparison < 0
+    case '<=': return comparison <= 0
+    case '>': return comparison > 0
+    case '>=': return comparison >= 0
+  }
+  return false
+}
+
+/** Whether a string is a Swift version like `5.9`, `6` or `Next`. */
+function _isVersionString(string) {
+  return /^(\d+(\.\d+)*|next)$/i.test(string)
+}
+
+/**
+ * Compares two version strings component by component. Missing components count
+ * as zero, and 'Next' sorts after every numbered version.
+ *
+ * @returns {number} Negative, zero or positive, like the comparator for `Array.sort`.
+ */
+function _compareVersions(v1, v2) {
+  var isNext1 = v1.toLowerCase() === 'next'
+  var isNext2 = v2.toLowerCase() === 'next'
+  if (isNext1 || isNext2) return (isNext1 ? 1 : 0) - (isNext2 ? 1 : 0)
+
+  var c1 = v1.split('.').map(Number)
+  var c2 = v2.split('.').map(Number)
+  for (var i = 0; i < Math.max(c1.length, c2.length); i++) {
+    var difference = (c1[i] || 0) - (c2[i] || 0)
+    if (difference !== 0) return difference
+  }
+  return 0
+}
+
+/** Collects the terms of a query that contribute to a match, skipping excluded terms. */
+function _positiveSearchTerms(query) {
+  switch (query.type) {
+    case 'and':
+    case 'or':
+      return [].concat.apply([], query.clauses.map(_positiveSearchTerms))
+    case 'not':
+      return []
+    default:
+      return [query]
+  }
+}
+
+/**
+ * Keeps the proposals that introduce an upcoming feature flag.
+ *
+ * @param {Proposal[]} matchingProposals - The proposals that have passed the text filtering phase.
+ * @param {boolean} isEnabled - Whether the upcoming feature flag filter is turned on. If not, every proposal is kept.
+ * @returns {Proposal[]} The results of applying the upcoming feature flag filter.
+ */
+function applyFlagFilter(matchingProposals, isEnabled) {
+  if (!isEnabled) return matchingProposals
+  return matchingProposals.filter(function (proposal) {
+    return proposal.upcomingFeatureFlag ? true : false
+  })
+}
+
+/**
+ * @typedef {Object} StatusSelection
+ * @property {string[]} states - Values of the selected status and version options, like `accepted` or `swift-5-9`.
+ * @property {?string[]} watchedProposalIDs - The reader's watched proposals, if only those are to be shown.
+ * @property {?{from: string, to: string}} versionRange - The selected release range, in ascending order.
+ */
+
+/**
+ * Keeps the proposals that match the status, version and watch list options of the filter panel.
+ *
+ * @param {Proposal[]} matchingProposals - The proposals that have passed the text and upcoming feature flag filtering phase.
+ * @param {StatusSelection} selection - The selected options.
+ * @returns {Proposal[]} The results of applying the status filter.
+ */
+function applyStatusFilter(matchingProposals, selection) {
+  var selectedStates = selection.states
+
+  // The watched filter narrows the results independently of the status and version selection
+  if (selection.watchedProposalIDs) {
+    matchingProposals = matchingProposals.filter(function (proposal) {
+      return selection.watchedProposalIDs.indexOf(proposal.id) !== -1
+    })
+  }
+
+  // Use all selected states, status and version to filter out proposals based on the grouping checkboxes
+  if (selectedStates.length) {
+    matchingProposals = matchingProposals
+      .filter(function (proposal) {
+        return selectedStates.some(function (state) {
+          return proposal.status.state.toLowerCase().indexOf(state.split('-')[0]) >= 0
+        })
+      })
+
+    // Handle version-specific filtering options
+    if (selectedStates.some(function (state) { return state.match(/swift/i) })) {
+      matchingProposals = matchingProposals
+        .filter(function (proposal) {
+          return selectedStates.some(function (state) {
+            if (!(proposal.status.state === State.implemented)) return true // only filter among Implemented (N.N.N)
+            if (state === 'swift-swift-Next' && proposal.status.version === 'Next') return true // special case
+
+            var version = state.split(/\D+/).filter(function (s) { return s.length }).join('.')
+
+            if (!version.length) return false // it's not a state that represents a version number
+            if (proposal.status.version === version) return true
+            return false
+          })
+        })
+    }
+  }
+
+  var versionRange = selection.versionRange
+  if (versionRange) {
+    matchingProposals = matchingProposals.filter(function (proposal) {
+      return proposal.status.state === State.implemented && _isVersionString(proposal.status.version) &&
+        _compareVersions(proposal.status.version, versionRange.from) >= 0 &&
+        _compareVersions(proposal.status.version, versionRange.to) <= 0
+    })
+  }
+
+  return matchingProposals
+}
+
+/**
+ * Keeps the proposals that match the facet selections.
+ *
+ * @param {Proposal[]} matchingProposals - The proposals that have passed the text, flag and status filtering phases.
+ * @param {Object} facetSelections - The selected values of each facet, keyed by `Facet` value.
+ * @returns {Proposal[]} The proposals that have one of the selected values of every facet with a selection.
+ */
+function applyFacetFilter(matchingProposals, facetSelections) {
+  Object.keys(facetSelections).forEach(function (facet) {
+    var selectedValues = facetSelections[facet]
+    if (!selectedValues.length) return
+
+    matchingProposals = matchingProposals.filter(function (proposal) {
+      return proposalFacets[facet].values(proposal).some(function (value) {
+        return selectedValues.indexOf(value) !== -1
+      })
+    })
+  })
+  return matchingProposals
+}
@@ -0,0 +1,270 @@
+// This source file is part of the Swift.org open source project
+//
+// Copyright (c) 2026 Apple Inc. and the Swift project authors
+// Licensed under Apache License v2.0 with Runtime Library Exception
+//
+// See http://swift.org/LICENSE.txt for license information
+// See http://swift.org/CONTRIBUTORS.txt for the list of Swift project authors
+//
+// ===---------------------------------------------------------------------===//
+
+// Turns mentions of Swift Evolution proposals, such as SE-0401, in the content of
+// blog posts and pages into links to the proposal on the dashboard. Hovering over
+// or focusing such a link shows a card summarizing the proposal.
+// The card needs swift-evolution-messages.js and swift-evolution-common.js, which
+// are only loaded on pages that mention a proposal.
+'use strict'
+
+const DASHBOARD_URL = '/swift-evolution/'
+
+/** Matches proposal IDs in running text. */
+const PROPOSAL_REFERENCE_PATTERN = /\bSE-\d{4}\b/g
+
+/** Elements whose text may mention proposals. */
+const PROPOSAL_REFERENCE_CONTAINERS = '#post .details, article.page, article.page-wide, article.post'
+
+/** Elements whose text is left alone, because it is code, already a link, or the dashboard itself. */
+const PROPOSAL_REFERENCE_EXCLUSIONS = 'a, button, code, pre, script, style, textarea, .evolution-dashboard'
+
+/** Scripts the proposal card needs, in the order they have to run. */
+const PROPOSAL_CARD_SCRIPTS = ['/assets/javascripts/swift-evolution-messages.js', '/assets/javascripts/swift-evolution-common.js']
+
+/** How long, in milliseconds, the card stays up after the pointer leaves a link, so it can move onto the card. */
+const PROPOSAL_CARD_HIDE_DELAY = 300
+
+/** Proposals keyed by ID, once requested with `_loadProposalsByID`. */
+let proposalsByID = null
+
+/** The link the proposal card currently describes, if any. */
+let proposalCardLink = null
+
+let proposalCardHideTimer = null
+
+document.addEventListener('DOMContentLoaded', function () {
+  var linkCount = 0
+  var containers = document.querySelectorAll(PROPOSAL_REFERENCE_CONTAINERS)
+  for (var i = 0; i < containers.length; i++) {
+    linkCount += linkProposalReferences(containers[i])
+  }
+  if (!linkCount) return
+
+  _loadProposalCardScripts().then(function () {
+    _localizeStates()
+
+    document.addEventListener('mouseover', handleProposalLinkEvent)
+    document.addEventListener('mouseout', handleProposalLinkEvent)
+    document.addEventListener('focusin', handleProposalLinkEvent)
+    document.addEventListener('focusout', handleProposalLinkEvent)
+    document.addEventListener('keydown', function (event) {
+      if (event.key === 'Escape' && proposalCardLink) hideProposalCard()
+    })
+  }).catch(function (error) {
+    // The links still lead to the dashboard, they just don't show a card.
+    console.warn('Unable to load the proposal card', error)
+  })
+})
+
+/**
+ * Loads the scripts in `PROPOSAL_CARD_SCRIPTS`, each once the one before it has run.
+ *
+ * @returns {Promise} Resolves once all of them have run, rejects if one of them can't be loaded.
+ */
+function _loadProposalCardScripts() {
+  return PROPOSAL_CARD_SCRIPTS.reduce(function (previous, src) {
+    return previous.then(function () {
+      return new Promise(function (resolve, reject) {
+        var script = document.createElement('script')
+        script.src = src
+        script.onload = resolve
+        script.onerror = function () {
+          reject(new Error('Unable to load ' + src))
+        }
+        document.head.appendChild(script)
+      })
+    })
+  }, Promise.resolve())
+}
+
+/**
+ * Wraps each proposal ID in the text of `container` in a link to the dashboard.
+ *
+ * @param {Element} container - The element to search.
+ * @returns {number} The number of links created.
+ */
+function linkProposalReferences(container) {
+  var walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+    acceptNode: function (node) {
+      if (!node.parentElement || node.parentElement.closest(PROPOSAL_REFERENCE_EXCLUSIONS)) {
+        return NodeFilter.FILTER_REJECT
+      }
+      PROPOSAL_REFERENCE_PATTERN.lastIndex = 0
+      return PROPOSAL_REFERENCE_PATTERN.test(node.data) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT
+    }
+  })
+
+  // Collect the nodes first, replacing them while walking would end the walk.
+  var textNodes = []
+  while (walker.nextNode()) textNodes.push(walker.currentNode)
+
+  var linkCount = 0
+  textNodes.forEach(function (textNode) {
+    var fragment = document.createDocumentFragment()
+    var text = textNode.data
+    var lastIndex = 0
+    var match
+
+    PROPOSAL_REFERENCE_PATTERN.lastIndex = 0
+    while ((match = PROPOSAL_REFERENCE_PATTERN.exec(text))) {
+      if (match.index > lastIndex) fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)))
+      // Created without `html`, which is only loaded once a proposal has been found.
+      var link = document.createElement('a')
+      link.href = DASHBOARD_URL + '#' + match[0]
+      link.className = 'proposal-link'
+      link.textContent = match[0]
+      fragment.appendChild(link)
+      linkCount++
+      lastIndex = match.index + match[0].length
+    }
+    if (lastIndex < text.length) fragment.appendChild(document.createTextNode(text.slice(lastIndex)))
+
+    textNode.parentNode.replaceChild(fragment, textNode)
+  })
+
+  return linkCount
+}
+
+/** Shows the proposal card for hovered and focused links and hides it again when they are left. */
+function handleProposalLinkEvent(event) {
+  var target = event.target.closest && event.target.closest('.proposal-link, #proposal-card')
+  if (!target) return
+
+  // Moving within a link or the card, or between a link and its card, keeps the card up.
+  var related = event.relatedTarget && event.relatedTarget.closest && event.relatedTarget.closest('.proposal-link, #proposal-card')
+  var isCardAndItsLink = related && [target, related].some(function (element) { return element.id === 'proposal-card' }) &&
+    [target, related].indexOf(proposalCardLink) !== -1
+  if (related === target || isCardAndItsLink) {
+    clearTimeout(proposalCardHideTimer)
+    return
+  }
+
+  if (event.type === 'mouseover' || event.type === 'focusin') {
+    clearTimeout(proposalCardHideTimer)
+    if (target.id !== 'proposal-card') showProposalCard(target)
+  } else {
+    clearTimeout(proposalCardHideTimer)
+    proposalCardHideTimer = setTimeout(hideProposalCard, event.type === 'focusout' ? 0 : PROPOSAL_CARD_HIDE_DELAY)
+  }
+}
+
+/**
+ * Loads the proposal metadata the first time it's needed. Uses the copy the dashboard
+ * saved in Cache Storage when there is one, so that hovering doesn't cost a download.
+ *
+ * @returns {Promise<Object>} Proposals keyed by ID. Empty if the metadata can't be loaded.
+ */
+function _loadProposalsByID() {
+  if (proposalsByID) return proposalsByID
+
+  proposalsByID = _readCachedMetadata().then(function (cached) {
+    if (cached) return cached.metadata
+
+    return window.fetch(metadataURL).then(function (response) {
+      if (!response.ok) throw new Error('Unexpected HTTP status ' + response.status)
+      return response.json()
+    })
+  }).then(function (metadata) {
+    var byID = {}
+    var isReadable = _metadataSchema(metadata) && Array.isArray(metadata.proposals)
+    ;(isReadable ? normalizeMetadata(metadata).proposals : []).forEach(function (proposal) {
+      if (proposal && typeof proposal.id === 'string') byID[proposal.id] = proposal
+    })
+    return byID
+  }).catch(function (error) {
+    console.warn('Unable to load proposal data', error)
+    // Try again on the next hover.
+    proposalsByID = null
+    return {}
+  })
+
+  return proposalsByID
+}
+
+/**
+ * Describes the proposal a link points to in a card next to the link.
+ *
+ * @param {HTMLAnchorElement} link - A link created by `linkProposalReferences`.
+ */
+function showProposalCard(link) {
+  var card = document.querySelector('#proposal-card')
+  if (!card) {
+    card = html('div', { id: 'proposal-card', role: 'tooltip', lang: locale, hidden: '' })
+    document.body.appendChild(card)
+  }
+
+  if (proposalCardLink && proposalCardLink !== link) proposalCardLink.removeAttribute('aria-describedby')
+  proposalCardLink = link
+
+  var id = link.textContent
+  _loadProposalsByID().then(function (byID) {
+    if (proposalCardLink !== link) return
+
+    card.innerHTML = ''
+    _proposalCardContents(id, byID[id]).forEach(function (child) {
+      card.appendChild(child)
+    })
+
+    // Measure the card after unhiding it, so that it can be kept within the window.
+    card.removeAttribute('hidden')
+    var bounds = link.getBoundingClientRect()
+    var left = Math.min(bounds.left, document.documentElement.clientWidth - card.offsetWidth - 8)
+    card.style.top = (bounds.bottom + window.scrollY + 6) + 'px'
+    card.style.left = (Math.max(8, left) + window.scrollX) + 'px'
+    link.setAttribute('aria-describedby', 'proposal-card')
+  })
+}
+
+/** Hides the proposal card. */
+function hideProposalCard() {
+  var card = document.querySelector('#proposal-card')
+  if (card) card.setAttribute('hidden', '')
+  if (proposalCardLink) proposalCardLink.removeAttribute('aria-describedby')
+  proposalCardLink = null
+}
+
+/**
+ * Creates the contents of the proposal card: the status, title, authors and,
+ * for implemented proposals, the Swift version.
+ *
+ * @param {string} id - The proposal ID mentioned in the text.
+ * @param {?Object} proposal - The proposal's metadata, if it could be found.
+ * @returns {Element[]} The nodes to show in the card.
+ */
+function _proposalCardContents(id, proposal) {
+  if (!proposal) {
+    return [html('p', { className: 'proposal-card-title' }, t('card.unavailable', { id: id }))]
+  }
+
+  var status = proposal.status || {}
+  var header = [html('span', { className: 'proposal-card-id' }, proposal.id)]
+  if (states[status.state]) {
+    header.unshift(html('span', { className: 'status-pill color-' + states[status.state].className }, states[status.state].shortName))
+  }
+
+  var contents = [
+    html('div', { className: 'proposal-card-header' }, header),
+    html('p', { className: 'proposal-card-title' }, String(proposal.title || '').trim() || id)
+  ]
+
+  var authors = Array.isArray(proposal.authors) ? proposal.authors.map(function (author) {
+    return author && author.name
+  }).filter(Boolean) : []
+  if (authors.length) {
+    contents.push(html('p', { className: 'proposal-card-detail' }, t('detail.authors', { count: authors.length }) + authors.join(', ')))
+  }
+
+  if (status.state === State.implemented && status.version) {
+    contents.push(html('p', { className: 'proposal-card-detail' }, t('card.implementedIn', { version: status.version })))
+  }
+
+  return contents
+}
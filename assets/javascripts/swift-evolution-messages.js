@@ -0,0 +1,1196 @@
+// This source file is part of the Swift.org open source project
+//
+// Copyright (c) 2026 Apple Inc. and the Swift project authors
+// Licensed under Apache License v2.0 with Runtime Library Exception
+//
+// See http://swift.org/LICENSE.txt for license information
+// See http://swift.org/CONTRIBUTORS.txt for the list of Swift project authors
+//
+// ===---------------------------------------------------------------------===//
+'use strict'
+
+/**
+ * Translations of the text of the Swift Evolution dashboard and of the proposal cards on other pages,
+ * keyed by BCP 47 locale.
+ * Used through `t()` in /assets/javascripts/swift-evolution-common.js.
+ *
+ * `{name}` placeholders are replaced with parameters. Messages that depend on a count
+ * are objects keyed by the plural categories of `Intl.PluralRules`, with `other` required.
+ * Keys missing from a locale fall back to English, so partial translations are fine.
+ */
+const messageCatalog = {
+  en: {
+    'locale.name': 'English',
+    'locale.automatic': 'Automatic',
+    'locale.label': 'Language',
+    'loading': 'Loading…',
+    'search.placeholder': 'Search',
+
+    'search.unmatchedParenthesis': 'Unmatched closing parenthesis',
+    'search.emptyParentheses': 'Empty parentheses',
+    'search.empty': 'Empty query',
+    'search.orWithoutTerm': 'OR must be followed by a search term',
+    'search.misplacedOr': 'OR must be placed between two search terms',
+    'search.nothingToExclude': 'Nothing to exclude after -',
+    'search.missingParenthesis': 'Missing closing parenthesis',
+    'search.unterminatedQuote': 'Unterminated quote',
+    'search.unknownField': 'Unknown field “{field}”. Try {fields}',
+    'search.comparisonField': 'The {operator} operator only works with version',
+    'search.missingValue': 'Missing value for {field}',
+    'search.expectedVersion': 'Expected a Swift version such as 5.9',
+    'search.position': '{message} (at character {position})',
+
+    'state.awaitingReview': 'Awaiting Review',
+    'state.awaitingReview.short': 'Awaiting Review',
+    'state.scheduledForReview': 'Scheduled for Review',
+    'state.scheduledForReview.short': 'Scheduled',
+    'state.activeReview': 'Active Review',
+    'state.activeReview.short': 'Active Review',
+    'state.activeReview.phrase': 'In Active Review',
+    'state.returnedForRevision': 'Returned for Revision',
+    'state.returnedForRevision.short': 'Returned',
+    'state.withdrawn': 'Withdrawn',
+    'state.withdrawn.short': 'Withdrawn',
+    'state.accepted': 'Accepted',
+    'state.accepted.short': 'Accepted',
+    'state.acceptedWithRevisions': 'Accepted with revisions',
+    'state.acceptedWithRevisions.short': 'Accepted',
+    'state.rejected': 'Rejected',
+    'state.rejected.short': 'Rejected',
+    'state.implemented': 'Implemented',
+    'state.implemented.short': 'Implemented',
+    'state.previewing': 'Previewing',
+    'state.previewing.short': 'Previewing',
+    'state.error': 'Error',
+    'state.error.short': 'Error',
+    'state.unknown': 'Unknown Status',
+    'state.unknown.short': 'Unknown',
+
+    'detail.authors': { one: 'Author: ', other: 'Authors: ' },
+    'detail.reviewManagers': { one: 'Review Manager: ', other: 'Review Managers: ' },
+    'detail.bugs': { one: 'Bug: ', other: 'Bugs: ' },
+    'detail.implementation': 'Implementation: ',
+    'detail.upcomingFeatureFlag': 'Upcoming Feature Flag: ',
+    'detail.preview': 'Preview: ',
+    'detail.previewPackage': 'Standard Library Preview',
+    'detail.implementedIn': 'Implemented In: ',
+    'detail.swiftVersion': 'Swift {version}',
+    'detail.status': 'Status: ',
+    'detail.scheduled': 'Scheduled: ',
+    'review.starts': 'starts {time}',
+    'review.ends': 'ends {time}',
+    'review.ended': 'ended {time}',
+
+    'count.proposals': { one: '{count} proposal', other: '{count} proposals' },
+    'list.heading': 'Proposals',
+    'count.flagFilter': { one: ' with an {link}', other: ' with {link}' },
+    'count.flagFilterLink': { one: 'upcoming feature flag', other: 'upcoming feature flags' },
+    'count.versionRange': ' implemented in Swift {from} through {to}',
+    'count.version': ' implemented in Swift {version}',
+
+    'filters.show': 'Show Filters',
+    'filters.hide': 'Hide Filters',
+    'filters.count': { one: '{count} Filter', other: '{count} Filters' },
+    'filters.status': 'Status',
+    'filters.version': 'Swift Version',
+    'filters.versionRange': 'Release Range',
+    'filters.versionRangeFrom': 'From Swift ',
+    'filters.versionRangeThrough': ' through ',
+    'filters.versionRangeFromLabel': 'First Swift version',
+    'filters.versionRangeToLabel': 'Last Swift version',
+    'filters.versionRangeEnd': '',
+    'filters.watchList': 'Watch List',
+    'filters.watched': 'Watched',
+    'filters.manager': 'Review Manager',
+    'filters.author': 'Author',
+    'filters.repo': 'Implementation Repository',
+    'filters.facetSearch': 'Search…',
+    'filters.facetMore': { one: '{count} more, refine the search to see it', other: '{count} more, refine the search to see them' },
+    'filters.allStatuses': 'All Statuses',
+    'filters.allStatusesExcept': 'All Statuses Except {statuses}',
+
+    'group.swiftVersion': 'Swift {version}',
+    'group.notImplemented': 'Not Yet Implemented',
+    'group.noReviewManager': 'No Review Manager',
+
+    'options.reviewCalendar': 'Review Calendar',
+    'options.statistics': 'Statistics',
+    'options.featureFlags': 'Feature Flags',
+    'options.export': 'Export…',
+    'options.sortBy': 'Sort by',
+    'options.groupBy': 'Group by',
+    'options.autoRefresh': 'Auto-refresh',
+    'options.autoRefreshTitle': 'Check for new proposal data every few minutes and notify me about new reviews and changes to watched proposals',
+
+    'notification.activeReview': '{id} is now in active review',
+    'notification.watchedState': 'Watched proposal {id} is now: {state}',
+
+    'compare.toggle': 'Compare',
+    'compare.heading': { one: 'Comparing {count} proposal', other: 'Comparing {count} proposals' },
+    'compare.hint': 'Select another proposal to compare it with.',
+    'compare.hide': 'Hide',
+    'compare.show': 'Show',
+    'compare.clear': 'Clear',
+    'compare.remove': 'Remove {id} from the comparison',
+    'compare.status': 'Status',
+    'compare.authors': 'Authors',
+    'compare.reviewManagers': 'Review Managers',
+    'compare.reviewPeriod': 'Review Period',
+    'compare.bugs': 'Tracking Bugs',
+    'compare.implementation': 'Implementation',
+    'compare.upcomingFeatureFlag': 'Upcoming Feature Flag',
+
+    'metadata.fresh': 'Proposal data last updated {time}.',
+    'metadata.revalidating': 'Showing proposal data saved {time}. Checking for updates…',
+    'metadata.offline': 'Offline. Showing proposal data saved {time}.',
+    'metadata.outdated': 'Newer proposal data was downloaded {time}. {reload} to see it.',
+    'metadata.reload': 'Reload',
+    'metadata.source': 'Showing proposal data from {url}.',
+    'metadata.failed': 'Proposal data failed to load. {error}',
+    'metadata.httpStatus': 'Unexpected HTTP status {status}.',
+    'metadata.notObject': 'The metadata is not a JSON object.',
+    'metadata.unsupportedSchema': 'Unsupported metadata schema version {version}; expected {supported}.',
+    'metadata.noProposals': 'The metadata has no list of proposals.',
+    'metadata.noVersions': 'The metadata has no list of implementation versions.',
+
+    'watch.changes': 'Changed since your last visit: ',
+    'watch.changedStatus': 'Status: {previous} → {current}',
+    'watch.changedVersion': 'Version: {previous} → {current}',
+    'watch.changedReview': 'Review: {previous} → {current}',
+    'watch.none': 'none',
+    'watch.label': 'Watch {id}',
+    'watch.stop': 'Stop watching {id}',
+
+    'digest.heading': 'Changes Since Your Last Visit',
+    'digest.dismiss': 'Dismiss changes since your last visit',
+    'digest.added': 'New Proposals',
+    'digest.group': '{title} ({count})',
+
+    'problems.summary': { one: 'Problems ({count} malformed proposal)', other: 'Problems ({count} malformed proposals)' },
+    'problems.unknownID': 'Unknown ID',
+    'problems.notObject': 'The proposal is not a JSON object.',
+    'problems.unspecified': 'Unspecified error.',
+    'problems.invalidID': 'Invalid proposal ID {id}.',
+    'problems.missingTitle': 'Missing title.',
+    'problems.missingLink': 'Missing link to the proposal document.',
+    'problems.missingAuthors': 'Missing list of authors.',
+    'problems.invalidAuthor': 'Invalid author {person}.',
+    'problems.invalidAuthorLink': 'Invalid link for author {name}.',
+    'problems.missingReviewManagers': 'Missing list of review managers.',
+    'problems.invalidReviewManager': 'Invalid review manager {person}.',
+    'problems.invalidReviewManagerLink': 'Invalid link for review manager {name}.',
+    'problems.missingStatus': 'Missing status.',
+    'problems.missingVersion': 'Implemented proposals need a version.',
+    'problems.missingReviewDates': 'Reviews need start and end dates in YYYY-MM-DD format.',
+    'problems.invalidBugs': 'Invalid tracking bugs.',
+    'problems.invalidImplementation': 'Invalid implementation links.',
+    'problems.invalidFlag': 'Invalid upcoming feature flag.',
+
+    'calendar.empty': 'No proposals with review dates match the current filters.',
+    'calendar.today': 'Today',
+    'calendar.name': 'Swift Evolution Reviews',
+    'calendar.summary': 'Review: {id} {title}',
+
+    'flags.empty': 'No proposals have upcoming feature flags.',
+    'flags.caption': 'Upcoming Feature Flags ({count})',
+    'flags.flag': 'Flag',
+    'flags.proposal': 'Proposal',
+    'flags.implemented': 'Implemented',
+    'flags.availableSince': 'Available Since',
+    'flags.languageMode': 'Enabled in Language Mode',
+    'flags.copy': 'Copy',
+    'flags.selectAll': 'Select all flags',
+    'flags.select': 'Select {flag}',
+    'flags.compiler': 'Compiler',
+    'flags.compilerLabel': 'Copy the compiler flag for {flag}',
+    'flags.swiftPM': 'SwiftPM',
+    'flags.swiftPMLabel': 'Copy the SwiftPM setting for {flag}',
+    'flags.copyCompilerFlags': 'Copy Compiler Flags',
+    'flags.copySwiftPMSettings': 'Copy SwiftPM Settings',
+    'flags.selectionHint': 'Select flags to combine their settings.',
+
+    'copy.done': 'Copied',
+    'copy.failed': 'Copy Failed',
+    'copy.unavailable': 'Copy Unavailable',
+
+    'statistics.empty': 'No proposals match the current filters.',
+    'statistics.versions': 'Implemented per Swift Version',
+    'statistics.status': 'Status',
+    'statistics.authors': 'Top Authors',
+    'statistics.reviewManagers': 'Top Review Managers',
+    'statistics.reviewDuration': 'Review Duration',
+    'statistics.days': '{from}–{to} days',
+    'statistics.overDays': 'Over {days} days',
+    'statistics.durationSummary': { one: '{count} review, median {median} days, average {average} days, range {shortest}–{longest} days', other: '{count} reviews, median {median} days, average {average} days, range {shortest}–{longest} days' },
+
+    'shortcuts.title': 'Keyboard Shortcuts',
+    'shortcuts.search': 'Search proposals',
+    'shortcuts.move': 'Select the next or previous proposal',
+    'shortcuts.page': 'Move between proposals while one has the focus',
+    'shortcuts.open': 'Open the selected proposal',
+    'shortcuts.watch': 'Watch or stop watching the selected proposal',
+    'shortcuts.compare': 'Add the selected proposal to the comparison, or remove it',
+    'shortcuts.filters': 'Show or hide the filters',
+    'shortcuts.help': 'Show or hide these shortcuts',
+    'shortcuts.escape': 'Leave the search field or close this list',
+    'shortcuts.close': 'Close',
+
+    'card.unavailable': 'Details for {id} are unavailable.',
+    'card.implementedIn': 'Implemented in Swift {version}',
+
+    'export.id': 'ID',
+    'export.title': 'Title',
+    'export.authors': 'Authors',
+    'export.status': 'Status',
+    'export.version': 'Version',
+    'export.upcomingFeatureFlag': 'Upcoming Feature Flag',
+
+    'sort.number': 'Number',
+    'sort.title': 'Title',
+    'sort.reviewStart': 'Review Start',
+    'sort.reviewEnd': 'Review End',
+    'sort.reviewDeadline': 'Reviews Ending Soonest',
+    'sort.version': 'Swift Version',
+    'sort.relevance': 'Relevance (When Searching)',
+    'group.status': 'Status',
+    'group.version': 'Swift Version',
+    'group.manager': 'Review Manager',
+    'group.none': 'None'
+  },
+
+  de: {
+    'locale.name': 'Deutsch',
+    'locale.automatic': 'Automatisch',
+    'locale.label': 'Sprache',
+    'loading': 'Wird geladen…',
+    'search.placeholder': 'Suchen',
+
+    'search.unmatchedParenthesis': 'Schließende Klammer ohne öffnende Klammer',
+    'search.emptyParentheses': 'Leere Klammern',
+    'search.empty': 'Leere Suchanfrage',
+    'search.orWithoutTerm': 'Auf OR muss ein Suchbegriff folgen',
+    'search.misplacedOr': 'OR muss zwischen zwei Suchbegriffen stehen',
+    'search.nothingToExclude': 'Nach - fehlt, was ausgeschlossen werden soll',
+    'search.missingParenthesis': 'Schließende Klammer fehlt',
+    'search.unterminatedQuote': 'Anführungszeichen nicht geschlossen',
+    'search.unknownField': 'Unbekanntes Feld „{field}“. Möglich sind {fields}',
+    'search.comparisonField': 'Der Operator {operator} funktioniert nur mit version',
+    'search.missingValue': 'Wert für {field} fehlt',
+    'search.expectedVersion': 'Erwartet wird eine Swift-Version wie 5.9',
+    'search.position': '{message} (bei Zeichen {position})',
+
+    'state.awaitingReview': 'Wartet auf Review',
+    'state.awaitingReview.short': 'Wartet auf Review',
+    'state.scheduledForReview': 'Review geplant',
+    'state.scheduledForReview.short': 'Geplant',
+    'state.activeReview': 'Laufendes Review',
+    'state.activeReview.short': 'Laufendes Review',
+    'state.activeReview.phrase': 'Im Review',
+    'state.returnedForRevision': 'Zur Überarbeitung zurückgegeben',
+    'state.returnedForRevision.short': 'Zurückgegeben',
+    'state.withdrawn': 'Zurückgezogen',
+    'state.withdrawn.short': 'Zurückgezogen',
+    'state.accepted': 'Angenommen',
+    'state.accepted.short': 'Angenommen',
+    'state.acceptedWithRevisions': 'Mit Änderungen angenommen',
+    'state.acceptedWithRevisions.short': 'Angenommen',
+    'state.rejected': 'Abgelehnt',
+    'state.rejected.short': 'Abgelehnt',
+    'state.implemented': 'Implementiert',
+    'state.implemented.short': 'Implementiert',
+    'state.previewing': 'In der Vorschau',
+    'state.previewing.short': 'Vorschau',
+    'state.error': 'Fehler',
+    'state.error.short': 'Fehler',
+    'state.unknown': 'Unbekannter Status',
+    'state.unknown.short': 'Unbekannt',
+
+    'detail.authors': { one: 'Autor: ', other: 'Autoren: ' },
+    'detail.reviewManagers': { one: 'Review-Manager: ', other: 'Review-Manager: ' },
+    'detail.bugs': { one: 'Bug: ', other: 'Bugs: ' },
+    'detail.implementation': 'Implementierung: ',
+    'detail.preview': 'Vorschau: ',
+    'detail.implementedIn': 'Implementiert in: ',
+    'detail.status': 'Status: ',
+    'detail.scheduled': 'Geplant: ',
+    'review.starts': 'beginnt {time}',
+    'review.ends': 'endet {time}',
+    'review.ended': 'endete {time}',
+
+    'count.proposals': { one: '{count} Proposal', other: '{count} Proposals' },
+    'list.heading': 'Vorschläge',
+    'count.flagFilter': { one: ' mit einem {link}', other: ' mit {link}' },
+    'count.flagFilterLink': { one: 'Upcoming Feature Flag', other: 'Upcoming Feature Flags' },
+    'count.versionRange': ', implementiert in Swift {from} bis {to}',
+    'count.version': ', implementiert in Swift {version}',
+
+    'filters.show': 'Filter einblenden',
+    'filters.hide': 'Filter ausblenden',
+    'filters.count': { one: '{count} Filter', other: '{count} Filter' },
+    'filters.status': 'Status',
+    'filters.version': 'Swift-Version',
+    'filters.versionRange': 'Versionsbereich',
+    'filters.versionRangeFrom': 'Von Swift ',
+    'filters.versionRangeThrough': ' bis ',
+    'filters.versionRangeFromLabel': 'Erste Swift-Version',
+    'filters.versionRangeToLabel': 'Letzte Swift-Version',
+    'filters.watchList': 'Beobachtungsliste',
+    'filters.watched': 'Beobachtet',
+    'filters.manager': 'Review-Manager',
+    'filters.author': 'Autor',
+    'filters.repo': 'Implementierungs-Repository',
+    'filters.facetSearch': 'Suchen…',
+    'filters.facetMore': { one: '{count} weiterer, Suche verfeinern, um ihn zu sehen', other: '{count} weitere, Suche verfeinern, um sie zu sehen' },
+    'filters.allStatuses': 'Alle Status',
+    'filters.allStatusesExcept': 'Alle Status außer {statuses}',
+
+    'group.notImplemented': 'Noch nicht implementiert',
+    'group.noReviewManager': 'Kein Review-Manager',
+
+    'options.reviewCalendar': 'Review-Kalender',
+    'options.statistics': 'Statistik',
+    'options.featureFlags': 'Feature Flags',
+    'options.export': 'Exportieren…',
+    'options.sortBy': 'Sortieren nach',
+    'options.groupBy': 'Gruppieren nach',
+    'options.autoRefresh': 'Automatisch aktualisieren',
+    'options.autoRefreshTitle': 'Alle paar Minuten nach neuen Vorschlagsdaten suchen und über neue Reviews und Änderungen an beobachteten Vorschlägen benachrichtigen',
+
+    'notification.activeReview': '{id} ist jetzt im Review',
+    'notification.watchedState': 'Beobachteter Vorschlag {id} ist jetzt: {state}',
+
+    'compare.toggle': 'Vergleichen',
+    'compare.heading': { one: '{count} Vorschlag im Vergleich', other: '{count} Vorschläge im Vergleich' },
+    'compare.hint': 'Wähle einen weiteren Vorschlag aus, um ihn damit zu vergleichen.',
+    'compare.hide': 'Ausblenden',
+    'compare.show': 'Einblenden',
+    'compare.clear': 'Leeren',
+    'compare.remove': '{id} aus dem Vergleich entfernen',
+    'compare.status': 'Status',
+    'compare.authors': 'Autoren',
+    'compare.reviewManagers': 'Review-Manager',
+    'compare.reviewPeriod': 'Review-Zeitraum',
+    'compare.bugs': 'Bugs',
+    'compare.implementation': 'Implementierung',
+    'compare.upcomingFeatureFlag': 'Upcoming Feature Flag',
+
+    'metadata.fresh': 'Vorschlagsdaten zuletzt aktualisiert: {time}.',
+    'metadata.revalidating': 'Vorschlagsdaten vom {time} werden angezeigt. Nach Aktualisierungen wird gesucht…',
+    'metadata.offline': 'Offline. Vorschlagsdaten vom {time} werden angezeigt.',
+    'metadata.outdated': 'Neuere Vorschlagsdaten wurden am {time} geladen. {reload}, um sie zu sehen.',
+    'metadata.reload': 'Neu laden',
+    'metadata.source': 'Vorschlagsdaten von {url} werden angezeigt.',
+    'metadata.failed': 'Die Vorschlagsdaten konnten nicht geladen werden. {error}',
+    'metadata.httpStatus': 'Unerwarteter HTTP-Status {status}.',
+    'metadata.notObject': 'Die Metadaten sind kein JSON-Objekt.',
+    'metadata.unsupportedSchema': 'Nicht unterstützte Version des Metadatenschemas: {version}; erwartet wird {supported}.',
+    'metadata.noProposals': 'Die Metadaten enthalten keine Liste von Vorschlägen.',
+    'metadata.noVersions': 'Die Metadaten enthalten keine Liste von Implementierungsversionen.',
+
+    'watch.changes': 'Seit deinem letzten Besuch geändert: ',
+    'watch.changedStatus': 'Status: {previous} → {current}',
+    'watch.changedVersion': 'Version: {previous} → {current}',
+    'watch.changedReview': 'Review: {previous} → {current}',
+    'watch.none': 'keine',
+    'watch.label': '{id} beobachten',
+    'watch.stop': '{id} nicht mehr beobachten',
+
+    'digest.heading': 'Änderungen seit deinem letzten Besuch',
+    'digest.dismiss': 'Änderungen seit deinem letzten Besuch ausblenden',
+    'digest.added': 'Neue Vorschläge',
+
+    'problems.summary': { one: 'Probleme ({count} fehlerhafter Vorschlag)', other: 'Probleme ({count} fehlerhafte Vorschläge)' },
+    'problems.unknownID': 'Unbekannte ID',
+    'problems.notObject': 'Der Vorschlag ist kein JSON-Objekt.',
+    'problems.unspecified': 'Nicht näher bezeichneter Fehler.',
+    'problems.invalidID': 'Ungültige Vorschlags-ID {id}.',
+    'problems.missingTitle': 'Titel fehlt.',
+    'problems.missingLink': 'Link zum Vorschlagsdokument fehlt.',
+    'problems.missingAuthors': 'Liste der Autoren fehlt.',
+    'problems.invalidAuthor': 'Ungültiger Autor {person}.',
+    'problems.invalidAuthorLink': 'Ungültiger Link für Autor {name}.',
+    'problems.missingReviewManagers': 'Liste der Review-Manager fehlt.',
+    'problems.invalidReviewManager': 'Ungültiger Review-Manager {person}.',
+    'problems.invalidReviewManagerLink': 'Ungültiger Link für Review-Manager {name}.',
+    'problems.missingStatus': 'Status fehlt.',
+    'problems.missingVersion': 'Implementierte Vorschläge benötigen eine Version.',
+    'problems.missingReviewDates': 'Reviews benötigen Start- und Enddaten im Format YYYY-MM-DD.',
+    'problems.invalidBugs': 'Ungültige Tracking-Bugs.',
+    'problems.invalidImplementation': 'Ungültige Implementierungslinks.',
+    'problems.invalidFlag': 'Ungültiges Upcoming Feature Flag.',
+
+    'calendar.empty': 'Keine Vorschläge mit Review-Daten entsprechen den aktuellen Filtern.',
+    'calendar.today': 'Heute',
+    'calendar.name': 'Swift-Evolution-Reviews',
+    'calendar.summary': 'Review: {id} {title}',
+
+    'flags.empty': 'Keine Vorschläge haben Upcoming Feature Flags.',
+    'flags.caption': 'Upcoming Feature Flags ({count})',
+    'flags.flag': 'Flag',
+    'flags.proposal': 'Vorschlag',
+    'flags.implemented': 'Implementiert',
+    'flags.availableSince': 'Verfügbar seit',
+    'flags.languageMode': 'Aktiviert im Sprachmodus',
+    'flags.copy': 'Kopieren',
+    'flags.selectAll': 'Alle Flags auswählen',
+    'flags.select': '{flag} auswählen',
+    'flags.compiler': 'Compiler',
+    'flags.compilerLabel': 'Compiler-Flag für {flag} kopieren',
+    'flags.swiftPM': 'SwiftPM',
+    'flags.swiftPMLabel': 'SwiftPM-Einstellung für {flag} kopieren',
+    'flags.copyCompilerFlags': 'Compiler-Flags kopieren',
+    'flags.copySwiftPMSettings': 'SwiftPM-Einstellungen kopieren',
+    'flags.selectionHint': 'Wähle Flags aus, um ihre Einstellungen zu kombinieren.',
+
+    'copy.done': 'Kopiert',
+    'copy.failed': 'Kopieren fehlgeschlagen',
+    'copy.unavailable': 'Kopieren nicht verfügbar',
+
+    'statistics.empty': 'Keine Vorschläge entsprechen den aktuellen Filtern.',
+    'statistics.versions': 'Implementiert pro Swift-Version',
+    'statistics.status': 'Status',
+    'statistics.authors': 'Häufigste Autoren',
+    'statistics.reviewManagers': 'Häufigste Review-Manager',
+    'statistics.reviewDuration': 'Review-Dauer',
+    'statistics.days': '{from}–{to} Tage',
+    'statistics.overDays': 'Über {days} Tage',
+    'statistics.durationSummary': { one: '{count} Review, Median {median} Tage, Durchschnitt {average} Tage, Spanne {shortest}–{longest} Tage', other: '{count} Reviews, Median {median} Tage, Durchschnitt {average} Tage, Spanne {shortest}–{longest} Tage' },
+
+    'shortcuts.title': 'Tastaturkurzbefehle',
+    'shortcuts.search': 'Vorschläge durchsuchen',
+    'shortcuts.move': 'Nächsten oder vorherigen Vorschlag auswählen',
+    'shortcuts.page': 'Zwischen Vorschlägen wechseln, während einer den Fokus hat',
+    'shortcuts.open': 'Ausgewählten Vorschlag öffnen',
+    'shortcuts.watch': 'Ausgewählten Vorschlag beobachten oder nicht mehr beobachten',
+    'shortcuts.compare': 'Ausgewählten Vorschlag zum Vergleich hinzufügen oder daraus entfernen',
+    'shortcuts.filters': 'Filter ein- oder ausblenden',
+    'shortcuts.help': 'Diese Kurzbefehle ein- oder ausblenden',
+    'shortcuts.escape': 'Suchfeld verlassen oder diese Liste schließen',
+    'shortcuts.close': 'Schließen',
+
+    'card.unavailable': 'Details zu {id} sind nicht verfügbar.',
+    'card.implementedIn': 'Implementiert in Swift {version}',
+
+    'export.id': 'ID',
+    'export.title': 'Titel',
+    'export.authors': 'Autoren',
+    'export.status': 'Status',
+    'export.version': 'Version',
+    'export.upcomingFeatureFlag': 'Upcoming Feature Flag',
+
+    'sort.number': 'Nummer',
+    'sort.title': 'Titel',
+    'sort.reviewStart': 'Review-Beginn',
+    'sort.reviewEnd': 'Review-Ende',
+    'sort.reviewDeadline': 'Bald endende Reviews',
+    'sort.version': 'Swift-Version',
+    'sort.relevance': 'Relevanz (bei Suche)',
+    'group.status': 'Status',
+    'group.version': 'Swift-Version',
+    'group.manager': 'Review-Manager',
+    'group.none': 'Keine'
+  },
+
+  fr: {
+    'locale.name': 'Français',
+    'locale.automatic': 'Automatique',
+    'locale.label': 'Langue',
+    'loading': 'Chargement…',
+    'search.placeholder': 'Rechercher',
+
+    'search.unmatchedParenthesis': 'Parenthèse fermante sans parenthèse ouvrante',
+    'search.emptyParentheses': 'Parenthèses vides',
+    'search.empty': 'Requête vide',
+    'search.orWithoutTerm': 'OR doit être suivi d’un terme de recherche',
+    'search.misplacedOr': 'OR doit être placé entre deux termes de recherche',
+    'search.nothingToExclude': 'Rien à exclure après -',
+    'search.missingParenthesis': 'Parenthèse fermante manquante',
+    'search.unterminatedQuote': 'Guillemet non fermé',
+    'search.unknownField': 'Champ « {field} » inconnu. Essayez {fields}',
+    'search.comparisonField': 'L’opérateur {operator} ne fonctionne qu’avec version',
+    'search.missingValue': 'Valeur manquante pour {field}',
+    'search.expectedVersion': 'Version de Swift attendue, par exemple 5.9',
+    'search.position': '{message} (au caractère {position})',
+
+    'state.awaitingReview': 'En attente de revue',
+    'state.awaitingReview.short': 'En attente',
+    'state.scheduledForReview': 'Revue planifiée',
+    'state.scheduledForReview.short': 'Planifiée',
+    'state.activeReview': 'Revue en cours',
+    'state.activeReview.short': 'Revue en cours',
+    'state.activeReview.phrase': 'En cours de revue',
+    'state.returnedForRevision': 'Renvoyée pour révision',
+    'state.returnedForRevision.short': 'Renvoyée',
+    'state.withdrawn': 'Retirée',
+    'state.withdrawn.short': 'Retirée',
+    'state.accepted': 'Acceptée',
+    'state.accepted.short': 'Acceptée',
+    'state.acceptedWithRevisions': 'Acceptée avec modifications',
+    'state.acceptedWithRevisions.short': 'Acceptée',
+    'state.rejected': 'Rejetée',
+    'state.rejected.short': 'Rejetée',
+    'state.implemented': 'Implémentée',
+    'state.implemented.short': 'Implémentée',
+    'state.previewing': 'En préversion',
+    'state.previewing.short': 'Préversion',
+    'state.error': 'Erreur',
+    'state.error.short': 'Erreur',
+    'state.unknown': 'Statut inconnu',
+    'state.unknown.short': 'Inconnu',
+
+    'detail.authors': { one: 'Auteur : ', other: 'Auteurs : ' },
+    'detail.reviewManagers': { one: 'Responsable de la revue : ', other: 'Responsables de la revue : ' },
+    'detail.bugs': { one: 'Bug : ', other: 'Bugs : ' },
+    'detail.implementation': 'Implémentation : ',
+    'detail.upcomingFeatureFlag': 'Upcoming Feature Flag : ',
+    'detail.preview': 'Préversion : ',
+    'detail.implementedIn': 'Implémentée dans : ',
+    'detail.status': 'Statut : ',
+    'detail.scheduled': 'Planifiée : ',
+    'review.starts': 'commence {time}',
+    'review.ends': 'se termine {time}',
+    'review.ended': 'terminée {time}',
+
+    'count.proposals': { one: '{count} proposition', other: '{count} propositions' },
+    'list.heading': 'Propositions',
+    'count.flagFilter': { one: ' avec un {link}', other: ' avec des {link}' },
+    'count.flagFilterLink': { one: 'upcoming feature flag', other: 'upcoming feature flags' },
+    'count.versionRange': { one: ' implémentée de Swift {from} à {to}', other: ' implémentées de Swift {from} à {to}' },
+    'count.version': { one: ' implémentée dans Swift {version}', other: ' implémentées dans Swift {version}' },
+
+    'filters.show': 'Afficher les filtres',
+    'filters.hide': 'Masquer les filtres',
+    'filters.count': { one: '{count} filtre', other: '{count} filtres' },
+    'filters.status': 'Statut',
+    'filters.version': 'Version de Swift',
+    'filters.versionRange': 'Plage de versions',
+    'filters.versionRangeFrom': 'De Swift ',
+    'filters.versionRangeThrough': ' à ',
+    'filters.versionRangeFromLabel': 'Première version de Swift',
+    'filters.versionRangeToLabel': 'Dernière version de Swift',
+    'filters.watchList': 'Liste de suivi',
+    'filters.watched': 'Suivies',
+    'filters.manager': 'Responsable de la revue',
+    'filters.author': 'Auteur',
+    'filters.repo': 'Dépôt d’implémentation',
+    'filters.facetSearch': 'Rechercher…',
+    'filters.facetMore': { one: '{count} autre, affinez la recherche pour l’afficher', other: '{count} autres, affinez la recherche pour les afficher' },
+    'filters.allStatuses': 'Tous les statuts',
+    'filters.allStatusesExcept': 'Tous les statuts sauf {statuses}',
+
+    'group.notImplemented': 'Pas encore implémentées',
+    'group.noReviewManager': 'Aucun responsable de la revue',
+
+    'options.reviewCalendar': 'Calendrier des revues',
+    'options.statistics': 'Statistiques',
+    'options.featureFlags': 'Feature flags',
+    'options.export': 'Exporter…',
+    'options.sortBy': 'Trier par',
+    'options.groupBy': 'Grouper par',
+    'options.autoRefresh': 'Actualisation automatique',
+    'options.autoRefreshTitle': 'Rechercher de nouvelles données toutes les quelques minutes et me notifier des nouvelles revues et des changements des propositions suivies',
+
+    'notification.activeReview': '{id} est maintenant en cours de revue',
+    'notification.watchedState': 'La proposition suivie {id} est maintenant : {state}',
+
+    'compare.toggle': 'Comparer',
+    'compare.heading': { one: 'Comparaison de {count} proposition', other: 'Comparaison de {count} propositions' },
+    'compare.hint': 'Sélectionnez une autre proposition pour la comparer.',
+    'compare.hide': 'Masquer',
+    'compare.show': 'Afficher',
+    'compare.clear': 'Effacer',
+    'compare.remove': 'Retirer {id} de la comparaison',
+    'compare.status': 'Statut',
+    'compare.authors': 'Auteurs',
+    'compare.reviewManagers': 'Responsables de la revue',
+    'compare.reviewPeriod': 'Période de revue',
+    'compare.bugs': 'Bugs',
+    'compare.implementation': 'Implémentation',
+    'compare.upcomingFeatureFlag': 'Upcoming Feature Flag',
+
+    'metadata.fresh': 'Données des propositions mises à jour le {time}.',
+    'metadata.revalidating': 'Affichage des données des propositions enregistrées le {time}. Recherche de mises à jour…',
+    'metadata.offline': 'Hors ligne. Affichage des données des propositions enregistrées le {time}.',
+    'metadata.outdated': 'Des données plus récentes ont été téléchargées le {time}. {reload} la page pour les voir.',
+    'metadata.reload': 'Rechargez',
+    'metadata.source': 'Affichage des données des propositions de {url}.',
+    'metadata.failed': 'Échec du chargement des données des propositions. {error}',
+    'metadata.httpStatus': 'Statut HTTP inattendu : {status}.',
+    'metadata.notObject': 'Les métadonnées ne sont pas un objet JSON.',
+    'metadata.unsupportedSchema': 'Version du schéma des métadonnées non prise en charge : {version} ; version attendue : {supported}.',
+    'metadata.noProposals': 'Les métadonnées ne contiennent pas de liste de propositions.',
+    'metadata.noVersions': 'Les métadonnées ne contiennent pas de liste de versions d’implémentation.',
+
+    'watch.changes': 'Modifiée depuis votre dernière visite : ',
+    'watch.changedStatus': 'Statut : {previous} → {current}',
+    'watch.changedVersion': 'Version : {previous} → {current}',
+    'watch.changedReview': 'Revue : {previous} → {current}',
+    'watch.none': 'aucune',
+    'watch.label': 'Suivre {id}',
+    'watch.stop': 'Ne plus suivre {id}',
+
+    'digest.heading': 'Modifications depuis votre dernière visite',
+    'digest.dismiss': 'Masquer les modifications depuis votre dernière visite',
+    'digest.added': 'Nouvelles propositions',
+
+    'problems.summary': { one: 'Problèmes ({count} proposition mal formée)', other: 'Problèmes ({count} propositions mal formées)' },
+    'problems.unknownID': 'ID inconnu',
+    'problems.notObject': 'La proposition n’est pas un objet JSON.',
+    'problems.unspecified': 'Erreur non précisée.',
+    'problems.invalidID': 'ID de proposition non valide : {id}.',
+    'problems.missingTitle': 'Titre manquant.',
+    'problems.missingLink': 'Lien vers le document de la proposition manquant.',
+    'problems.missingAuthors': 'Liste des auteurs manquante.',
+    'problems.invalidAuthor': 'Auteur non valide : {person}.',
+    'problems.invalidAuthorLink': 'Lien non valide pour l’auteur {name}.',
+    'problems.missingReviewManagers': 'Liste des responsables de la revue manquante.',
+    'problems.invalidReviewManager': 'Responsable de la revue non valide : {person}.',
+    'problems.invalidReviewManagerLink': 'Lien non valide pour le responsable de la revue {name}.',
+    'problems.missingStatus': 'Statut manquant.',
+    'problems.missingVersion': 'Les propositions implémentées doivent indiquer une version.',
+    'problems.missingReviewDates': 'Les revues doivent avoir des dates de début et de fin au format YYYY-MM-DD.',
+    'problems.invalidBugs': 'Bugs de suivi non valides.',
+    'problems.invalidImplementation': 'Liens d’implémentation non valides.',
+    'problems.invalidFlag': 'Upcoming Feature Flag non valide.',
+
+    'calendar.empty': 'Aucune proposition avec des dates de revue ne correspond aux filtres actuels.',
+    'calendar.today': 'Aujourd’hui',
+    'calendar.name': 'Revues Swift Evolution',
+    'calendar.summary': 'Revue : {id} {title}',
+
+    'flags.empty': 'Aucune proposition n’a d’upcoming feature flag.',
+    'flags.caption': 'Upcoming feature flags ({count})',
+    'flags.flag': 'Flag',
+    'flags.proposal': 'Proposition',
+    'flags.implemented': 'Implémentée',
+    'flags.availableSince': 'Disponible depuis',
+    'flags.languageMode': 'Activé dans le mode de langage',
+    'flags.copy': 'Copier',
+    'flags.selectAll': 'Sélectionner tous les flags',
+    'flags.select': 'Sélectionner {flag}',
+    'flags.compiler': 'Compilateur',
+    'flags.compilerLabel': 'Copier l’option du compilateur pour {flag}',
+    'flags.swiftPM': 'SwiftPM',
+    'flags.swiftPMLabel': 'Copier le réglage SwiftPM pour {flag}',
+    'flags.copyCompilerFlags': 'Copier les options du compilateur',
+    'flags.copySwiftPMSettings': 'Copier les réglages SwiftPM',
+    'flags.selectionHint': 'Sélectionnez des flags pour combiner leurs réglages.',
+
+    'copy.done': 'Copié',
+    'copy.failed': 'Échec de la copie',
+    'copy.unavailable': 'Copie indisponible',
+
+    'statistics.empty': 'Aucune proposition ne correspond aux filtres actuels.',
+    'statistics.versions': 'Implémentées par version de Swift',
+    'statistics.status': 'Statut',
+    'statistics.authors': 'Auteurs les plus fréquents',
+    'statistics.reviewManagers': 'Responsables de la revue les plus fréquents',
+    'statistics.reviewDuration': 'Durée des revues',
+    'statistics.days': '{from} à {to} jours',
+    'statistics.overDays': 'Plus de {days} jours',
+    'statistics.durationSummary': { one: '{count} revue, médiane de {median} jours, moyenne de {average} jours, de {shortest} à {longest} jours', other: '{count} revues, médiane de {median} jours, moyenne de {average} jours, de {shortest} à {longest} jours' },
+
+    'shortcuts.title': 'Raccourcis clavier',
+    'shortcuts.search': 'Rechercher des propositions',
+    'shortcuts.move': 'Sélectionner la proposition suivante ou précédente',
+    'shortcuts.page': 'Passer d’une proposition à l’autre lorsque l’une d’elles a le focus',
+    'shortcuts.open': 'Ouvrir la proposition sélectionnée',
+    'shortcuts.watch': 'Suivre la proposition sélectionnée ou arrêter de la suivre',
+    'shortcuts.compare': 'Ajouter la proposition sélectionnée à la comparaison ou l’en retirer',
+    'shortcuts.filters': 'Afficher ou masquer les filtres',
+    'shortcuts.help': 'Afficher ou masquer ces raccourcis',
+    'shortcuts.escape': 'Quitter le champ de recherche ou fermer cette liste',
+    'shortcuts.close': 'Fermer',
+
+    'card.unavailable': 'Les détails de {id} ne sont pas disponibles.',
+    'card.implementedIn': 'Implémentée dans Swift {version}',
+
+    'export.id': 'ID',
+    'export.title': 'Titre',
+    'export.authors': 'Auteurs',
+    'export.status': 'Statut',
+    'export.version': 'Version',
+    'export.upcomingFeatureFlag': 'Upcoming Feature Flag',
+
+    'sort.number': 'Numéro',
+    'sort.title': 'Titre',
+    'sort.reviewStart': 'Début de la revue',
+    'sort.reviewEnd': 'Fin de la revue',
+    'sort.reviewDeadline': 'Revues se terminant bientôt',
+    'sort.version': 'Version de Swift',
+    'sort.relevance': 'Pertinence (lors d’une recherche)',
+    'group.status': 'Statut',
+    'group.version': 'Version de Swift',
+    'group.manager': 'Responsable de la revue',
+    'group.none': 'Aucun'
+  },
+
+  ja: {
+    'locale.name': '日本語',
+    'locale.automatic': '自動',
+    'locale.label': '言語',
+    'loading': '読み込み中…',
+    'search.placeholder': '検索',
+
+    'search.unmatchedParenthesis': '対応する開き括弧のない閉じ括弧があります',
+    'search.emptyParentheses': '括弧の中が空です',
+    'search.empty': '検索語がありません',
+    'search.orWithoutTerm': 'OR の後には検索語が必要です',
+    'search.misplacedOr': 'OR は 2 つの検索語の間に置いてください',
+    'search.nothingToExclude': '- の後に除外する語がありません',
+    'search.missingParenthesis': '閉じ括弧がありません',
+    'search.unterminatedQuote': '引用符が閉じられていません',
+    'search.unknownField': '不明なフィールド「{field}」です。{fields} を使用できます',
+    'search.comparisonField': '{operator} 演算子は version でのみ使用できます',
+    'search.missingValue': '{field} の値がありません',
+    'search.expectedVersion': '5.9 のような Swift バージョンを指定してください',
+    'search.position': '{message}（{position} 文字目）',
+
+    'state.awaitingReview': 'レビュー待ち',
+    'state.awaitingReview.short': 'レビュー待ち',
+    'state.scheduledForReview': 'レビュー予定',
+    'state.scheduledForReview.short': '予定',
+    'state.activeReview': 'レビュー中',
+    'state.activeReview.short': 'レビュー中',
+    'state.activeReview.phrase': 'レビュー中',
+    'state.returnedForRevision': '修正のため差し戻し',
+    'state.returnedForRevision.short': '差し戻し',
+    'state.withdrawn': '取り下げ',
+    'state.withdrawn.short': '取り下げ',
+    'state.accepted': '承認',
+    'state.accepted.short': '承認',
+    'state.acceptedWithRevisions': '修正付きで承認',
+    'state.acceptedWithRevisions.short': '承認',
+    'state.rejected': '却下',
+    'state.rejected.short': '却下',
+    'state.implemented': '実装済み',
+    'state.implemented.short': '実装済み',
+    'state.previewing': 'プレビュー中',
+    'state.previewing.short': 'プレビュー',
+    'state.error': 'エラー',
+    'state.error.short': 'エラー',
+    'state.unknown': '不明なステータス',
+    'state.unknown.short': '不明',
+
+    'detail.authors': { other: '作成者: ' },
+    'detail.reviewManagers': { other: 'レビューマネージャー: ' },
+    'detail.bugs': { other: 'バグ: ' },
+    'detail.implementation': '実装: ',
+    'detail.preview': 'プレビュー: ',
+    'detail.implementedIn': '実装バージョン: ',
+    'detail.status': 'ステータス: ',
+    'detail.scheduled': '予定: ',
+    'review.starts': '{time}開始',
+    'review.ends': '{time}終了',
+    'review.ended': '{time}に終了',
+
+    'count.proposals': { other: '{count} 件のプロポーザル' },
+    'list.heading': 'プロポーザル',
+    'count.flagFilter': { other: '（{link}あり）' },
+    'count.flagFilterLink': { other: 'upcoming feature flag ' },
+    'count.versionRange': '（Swift {from}〜{to} で実装）',
+    'count.version': '（Swift {version} で実装）',
+
+    'filters.show': 'フィルタを表示',
+    'filters.hide': 'フィルタを隠す',
+    'filters.count': { other: '{count} 件のフィルタ' },
+    'filters.status': 'ステータス',
+    'filters.version': 'Swift バージョン',
+    'filters.versionRange': 'リリース範囲',
+    'filters.versionRangeFrom': 'Swift ',
+    'filters.versionRangeThrough': ' から ',
+    'filters.versionRangeFromLabel': '最初の Swift バージョン',
+    'filters.versionRangeToLabel': '最後の Swift バージョン',
+    'filters.versionRangeEnd': ' まで',
+    'filters.watchList': 'ウォッチリスト',
+    'filters.watched': 'ウォッチ中',
+    'filters.manager': 'レビューマネージャー',
+    'filters.author': '作成者',
+    'filters.repo': '実装リポジトリ',
+    'filters.facetSearch': '検索…',
+    'filters.facetMore': { other: 'ほか {count} 件。検索で絞り込むと表示されます' },
+    'filters.allStatuses': 'すべてのステータス',
+    'filters.allStatusesExcept': '{statuses}以外のすべてのステータス',
+
+    'group.notImplemented': '未実装',
+    'group.noReviewManager': 'レビューマネージャーなし',
+
+    'options.reviewCalendar': 'レビューカレンダー',
+    'options.statistics': '統計',
+    'options.featureFlags': 'Feature Flag',
+    'options.export': '書き出し…',
+    'options.sortBy': '並べ替え',
+    'options.groupBy': 'グループ',
+    'options.autoRefresh': '自動更新',
+    'options.autoRefreshTitle': '数分ごとに新しい提案データを確認し、新しいレビューとウォッチ中の提案の変更を通知します',
+
+    'notification.activeReview': '{id} のレビューが始まりました',
+    'notification.watchedState': 'ウォッチ中の提案 {id} のステータス: {state}',
+
+    'compare.toggle': '比較',
+    'compare.heading': { other: '{count} 件の提案を比較中' },
+    'compare.hint': '比較する提案をもう 1 つ選択してください。',
+    'compare.hide': '隠す',
+    'compare.show': '表示',
+    'compare.clear': 'クリア',
+    'compare.remove': '{id} を比較から外す',
+    'compare.status': 'ステータス',
+    'compare.authors': '作成者',
+    'compare.reviewManagers': 'レビューマネージャー',
+    'compare.reviewPeriod': 'レビュー期間',
+    'compare.bugs': 'バグ',
+    'compare.implementation': '実装',
+    'compare.upcomingFeatureFlag': 'Upcoming Feature Flag',
+
+    'metadata.fresh': 'プロポーザルデータの最終更新: {time}',
+    'metadata.revalidating': '{time}に保存されたプロポーザルデータを表示しています。更新を確認中…',
+    'metadata.offline': 'オフラインです。{time}に保存されたプロポーザルデータを表示しています。',
+    'metadata.outdated': '{time}に新しいプロポーザルデータがダウンロードされました。表示するには{reload}してください。',
+    'metadata.reload': '再読み込み',
+    'metadata.source': '{url} のプロポーザルデータを表示しています。',
+    'metadata.failed': 'プロポーザルデータを読み込めませんでした。{error}',
+    'metadata.httpStatus': '予期しない HTTP ステータス {status} です。',
+    'metadata.notObject': 'メタデータが JSON オブジェクトではありません。',
+    'metadata.unsupportedSchema': 'メタデータのスキーマバージョン {version} には対応していません。{supported} が必要です。',
+    'metadata.noProposals': 'メタデータにプロポーザルの一覧がありません。',
+    'metadata.noVersions': 'メタデータに実装バージョンの一覧がありません。',
+
+    'watch.changes': '前回の訪問以降の変更: ',
+    'watch.changedStatus': 'ステータス: {previous} → {current}',
+    'watch.changedVersion': 'バージョン: {previous} → {current}',
+    'watch.changedReview': 'レビュー: {previous} → {current}',
+    'watch.none': 'なし',
+    'watch.label': '{id} をウォッチ',
+    'watch.stop': '{id} のウォッチを解除',
+
+    'digest.heading': '前回の訪問以降の変更',
+    'digest.dismiss': '前回の訪問以降の変更を閉じる',
+    'digest.added': '新しいプロポーザル',
+    'digest.group': '{title}（{count}）',
+
+    'problems.summary': { other: '問題（不正なプロポーザル {count} 件）' },
+    'problems.unknownID': '不明な ID',
+    'problems.notObject': 'プロポーザルが JSON オブジェクトではありません。',
+    'problems.unspecified': '詳細不明のエラーです。',
+    'problems.invalidID': 'プロポーザル ID {id} が不正です。',
+    'problems.missingTitle': 'タイトルがありません。',
+    'problems.missingLink': 'プロポーザル文書へのリンクがありません。',
+    'problems.missingAuthors': '作成者の一覧がありません。',
+    'problems.invalidAuthor': '作成者 {person} が不正です。',
+    'problems.invalidAuthorLink': '作成者 {name} のリンクが不正です。',
+    'problems.missingReviewManagers': 'レビューマネージャーの一覧がありません。',
+    'problems.invalidReviewManager': 'レビューマネージャー {person} が不正です。',
+    'problems.invalidReviewManagerLink': 'レビューマネージャー {name} のリンクが不正です。',
+    'problems.missingStatus': 'ステータスがありません。',
+    'problems.missingVersion': '実装済みのプロポーザルにはバージョンが必要です。',
+    'problems.missingReviewDates': 'レビューには YYYY-MM-DD 形式の開始日と終了日が必要です。',
+    'problems.invalidBugs': '追跡バグが不正です。',
+    'problems.invalidImplementation': '実装へのリンクが不正です。',
+    'problems.invalidFlag': 'Upcoming Feature Flag が不正です。',
+
+    'calendar.empty': '現在のフィルタに一致する、レビュー日程のあるプロポーザルはありません。',
+    'calendar.today': '今日',
+    'calendar.name': 'Swift Evolution のレビュー',
+    'calendar.summary': 'レビュー: {id} {title}',
+
+    'flags.empty': 'upcoming feature flag のあるプロポーザルはありません。',
+    'flags.caption': 'Upcoming Feature Flag（{count}）',
+    'flags.flag': 'フラグ',
+    'flags.proposal': 'プロポーザル',
+    'flags.implemented': '実装',
+    'flags.availableSince': '利用可能になったバージョン',
+    'flags.languageMode': '有効になる言語モード',
+    'flags.copy': 'コピー',
+    'flags.selectAll': 'すべてのフラグを選択',
+    'flags.select': '{flag} を選択',
+    'flags.compiler': 'コンパイラ',
+    'flags.compilerLabel': '{flag} のコンパイラフラグをコピー',
+    'flags.swiftPM': 'SwiftPM',
+    'flags.swiftPMLabel': '{flag} の SwiftPM 設定をコピー',
+    'flags.copyCompilerFlags': 'コンパイラフラグをコピー',
+    'flags.copySwiftPMSettings': 'SwiftPM 設定をコピー',
+    'flags.selectionHint': 'フラグを選択すると設定をまとめられます。',
+
+    'copy.done': 'コピーしました',
+    'copy.failed': 'コピーできませんでした',
+    'copy.unavailable': 'コピーできません',
+
+    'statistics.empty': '現在のフィルタに一致するプロポーザルはありません。',
+    'statistics.versions': 'Swift バージョン別の実装数',
+    'statistics.status': 'ステータス',
+    'statistics.authors': '上位の作成者',
+    'statistics.reviewManagers': '上位のレビューマネージャー',
+    'statistics.reviewDuration': 'レビュー期間',
+    'statistics.days': '{from}〜{to} 日',
+    'statistics.overDays': '{days} 日超',
+    'statistics.durationSummary': { other: 'レビュー {count} 件、中央値 {median} 日、平均 {average} 日、範囲 {shortest}〜{longest} 日' },
+
+    'shortcuts.title': 'キーボードショートカット',
+    'shortcuts.search': 'プロポーザルを検索',
+    'shortcuts.move': '次または前のプロポーザルを選択',
+    'shortcuts.page': 'プロポーザルにフォーカスがあるときにプロポーザル間を移動',
+    'shortcuts.open': '選択したプロポーザルを開く',
+    'shortcuts.watch': '選択したプロポーザルをウォッチまたはウォッチ解除',
+    'shortcuts.compare': '選択したプロポーザルを比較に追加、または比較から削除',
+    'shortcuts.filters': 'フィルタを表示または隠す',
+    'shortcuts.help': 'このショートカット一覧を表示または隠す',
+    'shortcuts.escape': '検索フィールドから離れるか、この一覧を閉じる',
+    'shortcuts.close': '閉じる',
+
+    'card.unavailable': '{id} の詳細は利用できません。',
+    'card.implementedIn': 'Swift {version} で実装',
+
+    'export.id': 'ID',
+    'export.title': 'タイトル',
+    'export.authors': '作成者',
+    'export.status': 'ステータス',
+    'export.version': 'バージョン',
+    'export.upcomingFeatureFlag': 'Upcoming Feature Flag',
+
+    'sort.number': '番号',
+    'sort.title': 'タイトル',
+    'sort.reviewStart': 'レビュー開始日',
+    'sort.reviewEnd': 'レビュー終了日',
+    'sort.reviewDeadline': '終了が近いレビュー',
+    'sort.version': 'Swift バージョン',
+    'sort.relevance': '関連度（検索時）',
+    'group.status': 'ステータス',
+    'group.version': 'Swift バージョン',
+    'group.manager': 'レビューマネージャー',
+    'group.none': 'なし'
+  },
+
+  'zh-Hans': {
+    'locale.name': '简体中文',
+    'locale.automatic': '自动',
+    'locale.label': '语言',
+    'loading': '正在加载…',
+    'search.placeholder': '搜索',
+
+    'search.unmatchedParenthesis': '多余的右括号',
+    'search.emptyParentheses': '括号内为空',
+    'search.empty': '查询为空',
+    'search.orWithoutTerm': 'OR 后面必须跟搜索词',
+    'search.misplacedOr': 'OR 必须位于两个搜索词之间',
+    'search.nothingToExclude': '- 后面没有要排除的内容',
+    'search.missingParenthesis': '缺少右括号',
+    'search.unterminatedQuote': '引号未闭合',
+    'search.unknownField': '未知字段“{field}”。可以使用 {fields}',
+    'search.comparisonField': '{operator} 运算符仅适用于 version',
+    'search.missingValue': '缺少 {field} 的值',
+    'search.expectedVersion': '应为 Swift 版本，例如 5.9',
+    'search.position': '{message}（第 {position} 个字符）',
+
+    'state.awaitingReview': '等待审查',
+    'state.awaitingReview.short': '等待审查',
+    'state.scheduledForReview': '已安排审查',
+    'state.scheduledForReview.short': '已安排',
+    'state.activeReview': '审查中',
+    'state.activeReview.short': '审查中',
+    'state.activeReview.phrase': '审查中',
+    'state.returnedForRevision': '退回修订',
+    'state.returnedForRevision.short': '已退回',
+    'state.withdrawn': '已撤回',
+    'state.withdrawn.short': '已撤回',
+    'state.accepted': '已接受',
+    'state.accepted.short': '已接受',
+    'state.acceptedWithRevisions': '修订后接受',
+    'state.acceptedWithRevisions.short': '已接受',
+    'state.rejected': '已拒绝',
+    'state.rejected.short': '已拒绝',
+    'state.implemented': '已实现',
+    'state.implemented.short': '已实现',
+    'state.previewing': '预览中',
+    'state.previewing.short': '预览',
+    'state.error': '错误',
+    'state.error.short': '错误',
+    'state.unknown': '未知状态',
+    'state.unknown.short': '未知',
+
+    'detail.authors': { other: '作者: ' },
+    'detail.reviewManagers': { other: '审查负责人: ' },
+    'detail.bugs': { other: 'Bug: ' },
+    'detail.implementation': '实现: ',
+    'detail.preview': '预览: ',
+    'detail.implementedIn': '实现于: ',
+    'detail.status': '状态: ',
+    'detail.scheduled': '审查时间: ',
+    'review.starts': '{time}开始',
+    'review.ends': '{time}结束',
+    'review.ended': '已于{time}结束',
+
+    'count.proposals': { other: '{count} 个提案' },
+    'list.heading': '提案',
+    'count.flagFilter': { other: '（含 {link}）' },
+    'count.flagFilterLink': { other: 'upcoming feature flag' },
+    'count.versionRange': '（在 Swift {from} 至 {to} 中实现）',
+    'count.version': '（在 Swift {version} 中实现）',
+
+    'filters.show': '显示筛选条件',
+    'filters.hide': '隐藏筛选条件',
+    'filters.count': { other: '{count} 个筛选条件' },
+    'filters.status': '状态',
+    'filters.version': 'Swift 版本',
+    'filters.versionRange': '版本范围',
+    'filters.versionRangeFrom': '从 Swift ',
+    'filters.versionRangeThrough': ' 至 ',
+    'filters.versionRangeFromLabel': '起始 Swift 版本',
+    'filters.versionRangeToLabel': '结束 Swift 版本',
+    'filters.watchList': '关注列表',
+    'filters.watched': '已关注',
+    'filters.manager': '审查负责人',
+    'filters.author': '作者',
+    'filters.repo': '实现仓库',
+    'filters.facetSearch': '搜索…',
+    'filters.facetMore': { other: '还有 {count} 项，细化搜索即可显示' },
+    'filters.allStatuses': '所有状态',
+    'filters.allStatusesExcept': '除{statuses}以外的所有状态',
+
+    'group.notImplemented': '尚未实现',
+    'group.noReviewManager': '无审查负责人',
+
+    'options.reviewCalendar': '审查日历',
+    'options.statistics': '统计',
+    'options.featureFlags': 'Feature Flag',
+    'options.export': '导出…',
+    'options.sortBy': '排序方式',
+    'options.groupBy': '分组方式',
+    'options.autoRefresh': '自动刷新',
+    'options.autoRefreshTitle': '每隔几分钟检查新的提案数据，并在有新的审查或已关注提案发生变化时通知我',
+
+    'notification.activeReview': '{id} 已开始审查',
+    'notification.watchedState': '已关注的提案 {id} 现在的状态：{state}',
+
+    'compare.toggle': '比较',
+    'compare.heading': { other: '正在比较 {count} 个提案' },
+    'compare.hint': '再选择一个提案进行比较。',
+    'compare.hide': '隐藏',
+    'compare.show': '显示',
+    'compare.clear': '清除',
+    'compare.remove': '从比较中移除 {id}',
+    'compare.status': '状态',
+    'compare.authors': '作者',
+    'compare.reviewManagers': '审查负责人',
+    'compare.reviewPeriod': '审查期间',
+    'compare.bugs': 'Bug',
+    'compare.implementation': '实现',
+    'compare.upcomingFeatureFlag': 'Upcoming Feature Flag',
+
+    'metadata.fresh': '提案数据最后更新于 {time}。',
+    'metadata.revalidating': '正在显示 {time} 保存的提案数据。正在检查更新…',
+    'metadata.offline': '离线。正在显示 {time} 保存的提案数据。',
+    'metadata.outdated': '已于 {time} 下载较新的提案数据。{reload}即可查看。',
+    'metadata.reload': '重新载入',
+    'metadata.source': '正在显示来自 {url} 的提案数据。',
+    'metadata.failed': '提案数据加载失败。{error}',
+    'metadata.httpStatus': '意外的 HTTP 状态 {status}。',
+    'metadata.notObject': '元数据不是 JSON 对象。',
+    'metadata.unsupportedSchema': '不支持的元数据架构版本 {version}；应为 {supported}。',
+    'metadata.noProposals': '元数据中没有提案列表。',
+    'metadata.noVersions': '元数据中没有实现版本列表。',
+
+    'watch.changes': '自你上次访问以来的变化：',
+    'watch.changedStatus': '状态：{previous} → {current}',
+    'watch.changedVersion': '版本：{previous} → {current}',
+    'watch.changedReview': '审查：{previous} → {current}',
+    'watch.none': '无',
+    'watch.label': '关注 {id}',
+    'watch.stop': '取消关注 {id}',
+
+    'digest.heading': '自你上次访问以来的变化',
+    'digest.dismiss': '关闭自你上次访问以来的变化',
+    'digest.added': '新提案',
+    'digest.group': '{title}（{count}）',
+
+    'problems.summary': { other: '问题（{count} 个格式错误的提案）' },
+    'problems.unknownID': '未知 ID',
+    'problems.notObject': '提案不是 JSON 对象。',
+    'problems.unspecified': '未指明的错误。',
+    'problems.invalidID': '无效的提案 ID {id}。',
+    'problems.missingTitle': '缺少标题。',
+    'problems.missingLink': '缺少提案文档的链接。',
+    'problems.missingAuthors': '缺少作者列表。',
+    'problems.invalidAuthor': '无效的作者 {person}。',
+    'problems.invalidAuthorLink': '作者 {name} 的链接无效。',
+    'problems.missingReviewManagers': '缺少审查负责人列表。',
+    'problems.invalidReviewManager': '无效的审查负责人 {person}。',
+    'problems.invalidReviewManagerLink': '审查负责人 {name} 的链接无效。',
+    'problems.missingStatus': '缺少状态。',
+    'problems.missingVersion': '已实现的提案需要版本。',
+    'problems.missingReviewDates': '审查需要 YYYY-MM-DD 格式的开始和结束日期。',
+    'problems.invalidBugs': '无效的跟踪 Bug。',
+    'problems.invalidImplementation': '无效的实现链接。',
+    'problems.invalidFlag': '无效的 Upcoming Feature Flag。',
+
+    'calendar.empty': '没有符合当前筛选条件且有审查日期的提案。',
+    'calendar.today': '今天',
+    'calendar.name': 'Swift Evolution 审查',
+    'calendar.summary': '审查: {id} {title}',
+
+    'flags.empty': '没有带 upcoming feature flag 的提案。',
+    'flags.caption': 'Upcoming Feature Flag（{count}）',
+    'flags.flag': 'Flag',
+    'flags.proposal': '提案',
+    'flags.implemented': '实现版本',
+    'flags.availableSince': '可用起始版本',
+    'flags.languageMode': '默认启用的语言模式',
+    'flags.copy': '复制',
+    'flags.selectAll': '选择所有 flag',
+    'flags.select': '选择 {flag}',
+    'flags.compiler': '编译器',
+    'flags.compilerLabel': '复制 {flag} 的编译器参数',
+    'flags.swiftPM': 'SwiftPM',
+    'flags.swiftPMLabel': '复制 {flag} 的 SwiftPM 设置',
+    'flags.copyCompilerFlags': '复制编译器参数',
+    'flags.copySwiftPMSettings': '复制 SwiftPM 设置',
+    'flags.selectionHint': '选择 flag 以合并它们的设置。',
+
+    'copy.done': '已复制',
+    'copy.failed': '复制失败',
+    'copy.unavailable': '无法复制',
+
+    'statistics.empty': '没有符合当前筛选条件的提案。',
+    'statistics.versions': '各 Swift 版本实现的提案',
+    'statistics.status': '状态',
+    'statistics.authors': '最常见的作者',
+    'statistics.reviewManagers': '最常见的审查负责人',
+    'statistics.reviewDuration': '审查时长',
+    'statistics.days': '{from}–{to} 天',
+    'statistics.overDays': '超过 {days} 天',
+    'statistics.durationSummary': { other: '{count} 次审查，中位数 {median} 天，平均 {average} 天，范围 {shortest}–{longest} 天' },
+
+    'shortcuts.title': '键盘快捷键',
+    'shortcuts.search': '搜索提案',
+    'shortcuts.move': '选择下一个或上一个提案',
+    'shortcuts.page': '在某个提案获得焦点时于提案之间移动',
+    'shortcuts.open': '打开所选提案',
+    'shortcuts.watch': '关注或取消关注所选提案',
+    'shortcuts.compare': '将所选提案加入比较，或从比较中移除',
+    'shortcuts.filters': '显示或隐藏筛选条件',
+    'shortcuts.help': '显示或隐藏这些快捷键',
+    'shortcuts.escape': '离开搜索栏或关闭此列表',
+    'shortcuts.close': '关闭',
+
+    'card.unavailable': '{id} 的详细信息不可用。',
+    'card.implementedIn': '在 Swift {version} 中实现',
+
+    'export.id': 'ID',
+    'export.title': '标题',
+    'export.authors': '作者',
+    'export.status': '状态',
+    'export.version': '版本',
+    'export.upcomingFeatureFlag': 'Upcoming Feature Flag',
+
+    'sort.number': '编号',
+    'sort.title': '标题',
+    'sort.reviewStart': '审查开始日期',
+    'sort.reviewEnd': '审查结束日期',
+    'sort.reviewDeadline': '即将结束的审查',
+    'sort.version': 'Swift 版本',
+    'sort.relevance': '相关性（搜索时）',
+    'group.status': '状态',
+    'group.version': 'Swift 版本',
+    'group.manager': '审查负责人',
+    'group.none': '无'
+  }
+}
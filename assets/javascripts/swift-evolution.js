@@ -9,196 +9,1062 @@
 // ===---------------------------------------------------------------------===//
 'use strict'
 
-const EVOLUTION_METADATA_URL = 'https://download.swift.org/swift-evolution/v1/evolution.json'
 const GITHUB_BASE_URL = 'https://github.com/'
 const REPO_PROPOSALS_BASE_URL = GITHUB_BASE_URL + 'swiftlang/swift-evolution/blob/main/proposals'
 const UFF_INFO_URL = '/blog/using-upcoming-feature-flags/'
+const SERVICE_WORKER_URL = '/swift-evolution/service-worker.js'
+
+/** localStorage key for the IDs of the proposals the reader watches. */
+const WATCHED_STORAGE_KEY = 'swift-evolution.watched'
+
+/** localStorage key for the state of each watched proposal when the page was last loaded. */
+const WATCH_SNAPSHOT_STORAGE_KEY = 'swift-evolution.watch-snapshot'
+
+/** localStorage key for a summary of the proposals seen on the previous visit. */
+const VISIT_SNAPSHOT_STORAGE_KEY = 'swift-evolution.visit-snapshot'
+
+/** How often, in milliseconds, relative review dates like "ends tomorrow" are brought up to date. */
+const REVIEW_COUNTDOWN_REFRESH_INTERVAL = 60 * 1000
+
+/** How long, in milliseconds, the number of shown proposals has to settle before it's announced to screen readers. */
+const PROPOSALS_COUNT_ANNOUNCEMENT_DELAY = 750
+
+/** How many items of the list are added to the page at a time. See `renderProposalWindow`. */
+const PROPOSAL_WINDOW_SIZE = 40
+
+/** Keystrokes in the search field less than this many milliseconds apart share a history entry. */
+const SEARCH_HISTORY_DELAY = 1000
+
+/** localStorage key for whether the reader turned on the automatic refresh of the proposal data. */
+const AUTO_REFRESH_STORAGE_KEY = 'swift-evolution.auto-refresh'
+
+/** How often, in milliseconds, the automatic refresh checks for new proposal data. */
+const AUTO_REFRESH_INTERVAL = 5 * 60 * 1000
+
+/** States of the "last updated" indicator. See `updateMetadataStatus`. */
+const MetadataStatus = Object.freeze({
+  revalidating: 'revalidating',
+  fresh: 'fresh',
+  outdated: 'outdated',
+  offline: 'offline'
+})
 
 /** Holds the primary data used on this page: metadata about Swift Evolution proposals. */
 let proposals
 
+/** Proposals left out of `proposals` because they are malformed, each with its list of `problems`. */
+let malformedProposals = []
+
 /** Array of language versions in which proposals have been implemented. */
 let languageVersions
 
+/** Proposals that can be shown in the list, in presentation order. */
+let renderedProposals = []
+
+/** `article.proposal` elements created so far, keyed by proposal ID. See `_proposalElement`. */
+let proposalElements = {}
+
+/** Proposals that pass the current search and filters, in the order they are listed. */
+let shownProposals = []
+
+/**
+ * Sections of the list created so far for groups of proposals, keyed by group mode and key.
+ * Each has the group's heading and a feed of its proposals. See `_groupElement`.
+ */
+let groupElements = {}
+
+/** The feed of the proposals when they aren't grouped. */
+let ungroupedFeed = null
+
+/**
+ * What the list shows for the current filters, in order: proposals from `shownProposals`
+ * and the section elements of their groups. Only the first `listedItemCount` are in the page.
+ */
+let listItems = []
+
+let listedItemCount = 0
+
+/** Lists more of `listItems` when the end of the list comes into view. */
+let proposalListObserver = null
+
+/** Searchable text of `proposals`, built by `_searchIndex` when first searched. */
+let searchIndex = null
+
+/** The result of the last search query that parsed successfully. */
+let lastValidSearchQuery = null
+
+/** The search terms marked in listed proposals. See `highlightSearchMatches`. */
+let searchHighlight = { terms: [], allowTypos: false, key: '[]' }
+
+/** The `searchHighlight` key each proposal element was last highlighted for, keyed by proposal ID. */
+let highlightedSearches = {}
+
 /** Storage for the user's current selection of filters when filtering is toggled off. */
 let filterSelection = []
 
+/** Storage for the selected release range when filtering is toggled off. See `selectedVersionRange`. */
+let versionRangeSelection = null
+
 let upcomingFeatureFlagFilterEnabled = false
 
-/** Proposal state string constants */
-const State = Object.freeze({
-  awaitingReview: 'awaitingReview',
-  scheduledForReview: 'scheduledForReview',
-  activeReview: 'activeReview',
-  returnedForRevision: 'returnedForRevision',
-  withdrawn: 'withdrawn',
-  accepted: 'accepted',
-  acceptedWithRevisions: 'acceptedWithRevisions',
-  rejected: 'rejected',
-  implemented: 'implemented',
-  previewing: 'previewing',
-  error: 'error',
+/** The URI fragment that matches the current filters, used to ignore redundant navigation events. */
+let appliedFragment = ''
+
+/**
+ * While set, `_updateURIFragment` replaces the current history entry instead of adding one.
+ * Used when applying a fragment and while typing a search.
+ */
+let replacesHistoryEntry = false
+
+/** When the search field was last typed in. */
+let lastSearchInputTime = 0
+
+/** Values selected in each facet of the filter panel, keyed by `Facet`. */
+let facetSelections = {}
+
+/** Storage for the facet selections when filtering is toggled off. */
+let savedFacetSelections = null
+
+/**
+ * For each `Facet`, the number of proposals with each value among those matching
+ * the search and flag filter. Calculated by `updateFacetCounts`.
+ */
+let facetCounts = {}
+
+/** IDs of the proposals the reader has starred. Persisted in localStorage. */
+let watchedProposalIDs = []
+
+/**
+ * For watched proposals that changed since the previous visit, descriptions of the
+ * changes keyed by proposal ID. Calculated when proposals are loaded.
+ */
+let watchedProposalChanges = {}
+
+/**
+ * Proposals that were added or reached a noteworthy state since the previous visit,
+ * keyed by `VisitChange`. Calculated when proposals are loaded.
+ */
+let visitChanges = {}
+
+/** ID of the proposal selected with the `j` and `k` keyboard shortcuts, if any. */
+let keyboardCursorID = null
+
+let proposalsCountAnnouncementTimer = null
+
+/** IDs of the proposals shown side by side in the compare tray, in the order they were added. */
+let comparedProposalIDs = []
+
+/** The local calendar day `updateReviewCountdowns` last described review periods relative to. */
+let reviewCountdownDay = null
+
+/** The raw JSON of the metadata on screen, used to detect newer metadata. */
+let loadedMetadataText = null
+
+/** Timer of the automatic refresh while it is turned on. See `setAutoRefresh`. */
+let autoRefreshTimer = null
+
+/** Order in which the proposal states are grouped when grouping by status. */
+const proposalPresentationOrder = [
+  State.awaitingReview, State.scheduledForReview, State.activeReview, State.accepted, State.acceptedWithRevisions,
+  State.previewing, State.implemented, State.returnedForRevision, State.rejected, State.withdrawn, State.unknown
+]
+
+/** Keys the proposal list can be sorted by. Values appear in the URI fragment. */
+const SortKey = Object.freeze({
+  number: 'number',
+  title: 'title',
+  reviewStart: 'review-start',
+  reviewEnd: 'review-end',
+  reviewDeadline: 'review-deadline',
+  version: 'version',
+  relevance: 'relevance'
+})
+
+/** Ways the proposal list can be grouped. Values appear in the URI fragment. */
+const GroupMode = Object.freeze({
+  status: 'status',
+  version: 'version',
+  reviewManager: 'manager',
+  none: 'none'
 })
 
 /**
- * property names: Proposal state string constants
- *
- * `name`: Mapping of the states in the proposals JSON to human-readable names.
+ * Comparators for each `SortKey`, except `.relevance` which is computed by `searchProposals`.
+ * Proposals lacking the sorted property go last; ties keep the descending SE number order.
+ */
+const proposalComparators = {
+  [SortKey.number]: function (p1, p2) {
+    return _proposalNumber(p2) - _proposalNumber(p1)
+  },
+  [SortKey.title]: function (p1, p2) {
+    return p1.title.trim().localeCompare(p2.title.trim())
+  },
+  [SortKey.reviewStart]: function (p1, p2) {
+    return _compareDescendingMissingLast(p1.status.start, p2.status.start, _compareStrings)
+  },
+  [SortKey.reviewEnd]: function (p1, p2) {
+    return _compareDescendingMissingLast(p1.status.end, p2.status.end, _compareStrings)
+  },
+  // Reviews that haven't ended yet, soonest deadline first.
+  [SortKey.reviewDeadline]: function (p1, p2) {
+    var remainingEnd = function (proposal) {
+      var end = proposal.status.end
+      return end && _daysFromToday(end) >= 0 ? end : null
+    }
+    var end1 = remainingEnd(p1)
+    var end2 = remainingEnd(p2)
+
+    if (!end1 || !end2) return (end1 ? 0 : 1) - (end2 ? 0 : 1)
+    return _compareStrings(end1, end2)
+  },
+  [SortKey.version]: function (p1, p2) {
+    return _compareDescendingMissingLast(p1.status.version, p2.status.version, _compareVersions)
+  }
+}
+
+/**
+ * property names: `GroupMode` values
  *
- * `shortName`:  Mapping of the states in the proposals JSON to short human-readable names.
- *  Used for the left-hand column of proposal statuses.
+ * `key`: Determines the group a proposal belongs to.
  *
- * `className`: Mapping of states in the proposals JSON to the CSS class names used
- * to manipulate and display proposals based on their status.
+ * `compare`: Orders the group keys.
  *
- * `count`: Number of proposals with that state. Calculated after proposals are loaded.
- */
-const states = {
-  [State.awaitingReview]: {
-    name: 'Awaiting Review',
-    shortName: 'Awaiting Review',
-    className: 'awaiting-review',
-    count: 0
-  },
-  [State.scheduledForReview]: {
-    name: 'Scheduled for Review',
-    shortName: 'Scheduled',
-    className: 'scheduled-for-review',
-    count: 0
+ * `label`: The heading shown above a group, or null to show no headings.
+ */
+const proposalGroupings = {
+  [GroupMode.status]: {
+    key: function (proposal) { return proposal.status.state },
+    compare: function (k1, k2) {
+      return proposalPresentationOrder.indexOf(k1) - proposalPresentationOrder.indexOf(k2)
+    },
+    // The status pill on every proposal already tells the groups apart.
+    label: function () { return null }
   },
-  [State.activeReview]: {
-    name: 'Active Review',
-    shortName: 'Active Review',
-    statusPrefix: 'In ',
-    className: 'active-review',
-    count: 0
+  [GroupMode.version]: {
+    key: function (proposal) { return proposal.status.version || '' },
+    compare: function (k1, k2) { return _compareDescendingMissingLast(k1, k2, _compareVersions) },
+    label: function (key) { return key ? t('group.swiftVersion', { version: key }) : t('group.notImplemented') }
   },
-  [State.returnedForRevision]: {
-    name: 'Returned for Revision',
-    shortName: 'Returned',
-    className: 'returned-for-revision',
-    count: 0
+  [GroupMode.reviewManager]: {
+    // Proposals with several review managers are grouped under the first one.
+    key: function (proposal) { return proposal.reviewManagers.length ? proposal.reviewManagers[0].name : '' },
+    compare: function (k1, k2) {
+      if (!k1 || !k2) return (k1 ? 0 : 1) - (k2 ? 0 : 1)
+      return k1.localeCompare(k2)
+    },
+    label: function (key) { return key || t('group.noReviewManager') }
   },
-  [State.withdrawn]: {
-    name: 'Withdrawn',
-    shortName: 'Withdrawn',
-    className: 'withdrawn',
-    count: 0
+  [GroupMode.none]: {
+    key: function () { return '' },
+    compare: function () { return 0 },
+    label: function () { return null }
+  }
+}
+
+/** How many options of a facet are listed before its search field has to be used. Selected options are always listed. */
+const FACET_OPTION_LIMIT = 10
+
+/**
+ * Rows of the table in the compare tray.
+ *
+ * `label`: The `messageCatalog` key of the row heading.
+ *
+ * `cell`: Creates the contents of a proposal's cell. Returns null when the proposal has nothing to show.
+ */
+const comparisonRows = [
+  {
+    label: 'compare.status',
+    cell: function (proposal) {
+      var state = proposal.status.state
+      var nodes = [html('span', { className: 'status-pill color-' + states[state].className }, states[state].name)]
+      if (state === State.implemented) nodes.push(document.createTextNode(' ' + t('detail.swiftVersion', { version: proposal.status.version })))
+      return nodes
+    }
   },
-  [State.accepted]: {
-    name: 'Accepted',
-    shortName: 'Accepted',
-    className: 'accepted',
-    count: 0
+  {
+    label: 'compare.authors',
+    cell: function (proposal) { return personNodesForPersonArray(proposal.authors) }
   },
-  [State.acceptedWithRevisions]: {
-    name: 'Accepted with revisions',
-    shortName: 'Accepted',
-    className: 'accepted-with-revisions',
-    count: 0
+  {
+    label: 'compare.reviewManagers',
+    cell: function (proposal) {
+      return proposal.reviewManagers.length ? personNodesForPersonArray(proposal.reviewManagers) : null
+    }
   },
-  [State.rejected]: {
-    name: 'Rejected',
-    shortName: 'Rejected',
-    className: 'rejected',
-    count: 0
+  {
+    label: 'compare.reviewPeriod',
+    cell: function (proposal) {
+      return proposal.status.start && proposal.status.end ? [_reviewPeriodText(proposal.status)] : null
+    }
   },
-  [State.implemented]: {
-    name: 'Implemented',
-    shortName: 'Implemented',
-    className: 'implemented',
-    count: 0
+  {
+    label: 'compare.bugs',
+    cell: function (proposal) {
+      return proposal.trackingBugs && proposal.trackingBugs.length ? trackingBugNodes(proposal.trackingBugs) : null
+    }
   },
-  [State.previewing]: {
-    name: 'Previewing',
-    shortName: 'Previewing',
-    className: 'previewing',
-    count: 0
+  {
+    label: 'compare.implementation',
+    cell: function (proposal) {
+      return proposal.implementation && proposal.implementation.length ? implementationNodes(proposal.implementation) : null
+    }
   },
-  [State.error]: {
-    name: 'Error',
-    shortName: 'Error',
-    className: 'error',
-    count: 0
+  {
+    label: 'compare.upcomingFeatureFlag',
+    cell: function (proposal) { return proposal.upcomingFeatureFlag ? [proposal.upcomingFeatureFlag.flag] : null }
   }
-}
+]
 
 init()
 
 /** Primary entry point */
 function init() {
-  var req = new window.XMLHttpRequest()
+  _localizeStates()
+  document.querySelector('#proposals-count-number').innerHTML = t('loading')
+  _registerServiceWorker()
+
+  // Render the last good copy of the metadata right away, then check for a newer one.
+  _readCachedMetadata().then(function (cached) {
+    if (cached) {
+      loadedMetadataText = cached.text
+      loadProposals(cached.metadata)
+      updateMetadataStatus(MetadataStatus.revalidating, cached.fetchedAt)
+    }
 
-  req.addEventListener('load', function() {
-    let evolutionMetadata = JSON.parse(req.responseText)
-    proposals = evolutionMetadata.proposals
-    languageVersions = evolutionMetadata.implementationVersions
-    
-    // Don't display malformed proposals
-    proposals = proposals.filter(function (proposal) {
-      return !proposal.errors
-    })
+    revalidateMetadata(cached)
+  })
+}
 
-    // Descending numeric sort based the numeric nnnn in a proposal ID's SE-nnnn
-    proposals.sort(function compareProposalIDs (p1, p2) {
-      return parseInt(p1.id.match(/\d\d\d\d/)[0]) - parseInt(p2.id.match(/\d\d\d\d/)[0])
-    })
-    proposals = proposals.reverse()
+/**
+ * Fetches the metadata from the network and stores it in the cache.
+ * Renders it if nothing has been rendered yet; otherwise reports whether it changed.
+ *
+ * @param {?CachedMetadata} cached - The metadata already on screen, if any.
+ */
+function revalidateMetadata(cached) {
+  _fetchAndCacheMetadata().then(function (fresh) {
+    if (!cached) {
+      loadedMetadataText = fresh.text
+      loadProposals(fresh.metadata)
+      updateMetadataStatus(MetadataStatus.fresh, fresh.fetchedAt)
+    } else if (fresh.text !== cached.text && autoRefreshTimer) {
+      // Readers who chose automatic updates get the new data without reloading.
+      loadedMetadataText = fresh.text
+      refreshProposals(fresh.metadata)
+      updateMetadataStatus(MetadataStatus.fresh, fresh.fetchedAt)
+    } else if (fresh.text !== cached.text) {
+      updateMetadataStatus(MetadataStatus.outdated, fresh.fetchedAt)
+    } else {
+      updateMetadataStatus(MetadataStatus.fresh, fresh.fetchedAt)
+    }
+  }, function (error) {
+    if (!cached) {
+      document.querySelector('#proposals-count-number').innerText = t('metadata.failed', { error: error.message })
+      return
+    }
 
-    render()
-    addEventListeners()
+    updateMetadataStatus(MetadataStatus.offline, cached.fetchedAt)
 
-    // apply filters when the page loads with a search already filled out.
-    // typically this happens after navigating backwards in a tab's history.
-    if (document.querySelector('#search-filter').value.trim()) {
-      filterProposals()
-    }
+    // Try again as soon as the browser reports that the connection is back.
+    window.addEventListener('online', function () {
+      updateMetadataStatus(MetadataStatus.revalidating, cached.fetchedAt)
+      revalidateMetadata(cached)
+    }, { once: true })
+  })
+}
 
-    // Apply selections from the current page's URI fragment
+/**
+ * Sets up the page from a decoded `evolution.json` payload.
+ *
+ * @param {Object} evolutionMetadata - The metadata, as published at `EVOLUTION_METADATA_URL`.
+ */
+function loadProposals(evolutionMetadata) {
+  var formatError = metadataFormatError(evolutionMetadata)
+  if (formatError) {
+    document.querySelector('#proposals-count-number').innerText = t('metadata.failed', { error: formatError })
+    return
+  }
+
+  _readProposals(evolutionMetadata)
+
+  watchedProposalIDs = _readStorage(WATCHED_STORAGE_KEY, [])
+  watchedProposalChanges = _detectWatchedProposalChanges()
+  visitChanges = _detectChangesSinceLastVisit()
+
+  render()
+  addEventListeners()
+
+  // apply filters when the page loads with a search already filled out.
+  // typically this happens after navigating backwards in a tab's history.
+  if (document.querySelector('#search-filter').value.trim()) {
+    filterProposals()
+  }
+
+  // Apply selections from the current page's URI fragment
+  replacesHistoryEntry = true
+  try {
     _applyFragment(document.location.hash)
+  } finally {
+    replacesHistoryEntry = false
+  }
+  appliedFragment = document.location.hash
+
+  // Links like /swift-evolution/#SE-0001 name a proposal that didn't exist when the browser
+  // tried to scroll to it, and that may be further down the list than has been listed.
+  var linkedProposal = /^#SE-\d{4}$/.test(appliedFragment) && _listProposal(appliedFragment.substr(1))
+  if (linkedProposal) linkedProposal.scrollIntoView()
+}
+
+/**
+ * Maps the metadata to the internal model and splits its proposals into well-formed
+ * `proposals` and `malformedProposals`.
+ *
+ * @param {Object} evolutionMetadata - Metadata that passed `metadataFormatError`.
+ */
+function _readProposals(evolutionMetadata) {
+  var metadata = normalizeMetadata(evolutionMetadata)
+  searchIndex = null
+  languageVersions = metadata.implementationVersions
+  proposals = []
+  malformedProposals = []
+
+  // Malformed proposals are listed separately, together with what is wrong with them.
+  metadata.proposals.forEach(function (proposal) {
+    var problems = proposalProblems(proposal)
+    if (problems.length) {
+      malformedProposals.push({ proposal: proposal, problems: problems })
+    } else {
+      proposals.push(proposal)
+    }
   })
 
-  req.addEventListener('error', function (e) {
-    document.querySelector('#proposals-count-number').innerText = 'Proposal data failed to load.'
+  // Descending numeric sort based the numeric nnnn in a proposal ID's SE-nnnn
+  proposals.sort(proposalComparators[SortKey.number])
+}
+
+/**
+ * Replaces the proposals on screen with newer metadata without reloading the page.
+ * The search, filters, sort order, open views and scroll position stay as they are.
+ *
+ * @param {Object} evolutionMetadata - The newer metadata.
+ */
+function refreshProposals(evolutionMetadata) {
+  var formatError = metadataFormatError(evolutionMetadata)
+  if (formatError) {
+    console.warn('Ignoring refreshed proposal data', formatError)
+    return
+  }
+
+  var previousStates = {}
+  proposals.forEach(function (proposal) { previousStates[proposal.id] = proposal.status.state })
+  var scrollX = window.scrollX
+  var scrollY = window.scrollY
+
+  _readProposals(evolutionMetadata)
+
+  // Notes about changes since the previous visit stay until the page is reloaded.
+  var refreshChanges = _detectWatchedProposalChanges()
+  Object.keys(refreshChanges).forEach(function (id) {
+    watchedProposalChanges[id] = (watchedProposalChanges[id] || []).concat(refreshChanges[id])
   })
 
-  document.querySelector('#proposals-count-number').innerHTML = 'Loading…'
-  req.open('get', EVOLUTION_METADATA_URL)
-  req.send()
+  proposalElements = {}
+  highlightedSearches = {}
+  renderedProposals = []
+  updateVersionOptions()
+  renderProposals()
+  renderCompareTray()
+  renderProblems()
+
+  var featureFlagTable = document.querySelector('#feature-flag-table')
+  featureFlagTable.innerHTML = ''
+  if (!featureFlagTable.classList.contains('hidden')) renderFeatureFlagTable()
+
+  filterProposals()
+  updateReviewCountdowns()
+  if (keyboardCursorID && !renderedProposals.some(function (proposal) { return proposal.id === keyboardCursorID })) {
+    keyboardCursorID = null
+  }
+  window.scrollTo(scrollX, scrollY)
+
+  notifyProposalChanges(previousStates)
+}
+
+/** Downloads the metadata and shows it if it changed. Used by the automatic refresh. */
+function refreshMetadata() {
+  _fetchAndCacheMetadata().then(function (fresh) {
+    if (fresh.text !== loadedMetadataText) {
+      loadedMetadataText = fresh.text
+      refreshProposals(fresh.metadata)
+    }
+    updateMetadataStatus(MetadataStatus.fresh, fresh.fetchedAt)
+  }, function (error) {
+    // The next attempt may well succeed, so the data on screen is kept without comment.
+    console.warn('Unable to refresh proposal data', error)
+  })
 }
 
 /**
- * Creates an Element. Convenience wrapper for `document.createElement`.
+ * Turns the periodic check for new proposal data on or off and remembers the choice.
  *
- * @param {string} elementType - The tag name. 'div', 'span', etc.
- * @param {string[]} attributes - A list of attributes. Use `className` for `class`.
- * @param {(string | Element)[]} children - A list of either text or other Elements to be nested under this Element.
- * @returns {Element} The new node.
+ * @param {boolean} isEnabled - Whether to check for new data every `AUTO_REFRESH_INTERVAL`.
  */
-function html(elementType, attributes, children) {
-  var element = document.createElement(elementType)
+function setAutoRefresh(isEnabled) {
+  document.querySelector('#auto-refresh').checked = isEnabled
+  _writeStorage(AUTO_REFRESH_STORAGE_KEY, isEnabled)
 
-  if (attributes) {
-    Object.keys(attributes).forEach(function (attributeName) {
-      var value = attributes[attributeName]
-      if (attributeName === 'className') attributeName = 'class'
-      element.setAttribute(attributeName, value)
+  clearInterval(autoRefreshTimer)
+  autoRefreshTimer = isEnabled ? setInterval(refreshMetadata, AUTO_REFRESH_INTERVAL) : null
+}
+
+/**
+ * Shows a browser notification for each proposal that entered active review, and for each
+ * watched proposal that changed state, if the reader allowed notifications.
+ *
+ * @param {Object} previousStates - The state of each proposal before the refresh, keyed by ID.
+ */
+function notifyProposalChanges(previousStates) {
+  var Notification = window.Notification
+  if (!Notification || Notification.permission !== 'granted') return
+
+  proposals.forEach(function (proposal) {
+    var state = proposal.status.state
+    var previousState = previousStates[proposal.id]
+    if (state === previousState) return
+
+    var title
+    if (state === State.activeReview) {
+      title = t('notification.activeReview', { id: proposal.id })
+    } else if (previousState && watchedProposalIDs.indexOf(proposal.id) !== -1) {
+      title = t('notification.watchedState', { id: proposal.id, state: states[state].name })
+    } else {
+      return
+    }
+
+    var notification = new Notification(title, { body: proposal.title.trim(), tag: proposal.id })
+    notification.addEventListener('click', function () {
+      window.focus()
+      var element = _listProposal(proposal.id)
+      if (element) element.scrollIntoView()
+      notification.close()
     })
-  }
+  })
+}
 
-  if (!children) return element
-  if (!Array.isArray(children)) children = [children]
+/**
+ * Downloads the metadata and, if it is valid JSON, stores it in Cache Storage
+ * together with the time it was downloaded.
+ *
+ * @returns {Promise<CachedMetadata>} The downloaded metadata. Rejects on network, parsing or format errors.
+ */
+function _fetchAndCacheMetadata() {
+  return window.fetch(metadataURL, { cache: 'no-cache' }).then(function (response) {
+    if (!response.ok) throw new Error(t('metadata.httpStatus', { status: response.status }))
+    return response.text()
+  }).then(function (text) {
+    var fresh = { text: text, metadata: JSON.parse(text), fetchedAt: new Date() }
+
+    // Never replace a good cached copy with metadata that can't be displayed.
+    var formatError = metadataFormatError(fresh.metadata)
+    if (formatError) throw new Error(formatError)
+
+    if (!window.caches) return fresh
+
+    return window.caches.open(METADATA_CACHE_NAME).then(function (cache) {
+      var headers = { 'Content-Type': 'application/json' }
+      headers[METADATA_FETCHED_AT_HEADER] = fresh.fetchedAt.toISOString()
+      return cache.put(metadataURL, new window.Response(text, { headers: headers }))
+    }).catch(function (error) {
+      console.warn('Unable to cache proposal data', error)
+    }).then(function () {
+      return fresh
+    })
+  })
+}
 
+/**
+ * Installs the service worker that keeps the dashboard page and its assets available offline.
+ * The metadata itself is cached by this script, see `_fetchAndCacheMetadata`.
+ */
+function _registerServiceWorker() {
+  if (!('serviceWorker' in window.navigator)) return
+
+  window.navigator.serviceWorker.register(SERVICE_WORKER_URL, { scope: '/swift-evolution/' }).catch(function (error) {
+    console.warn('Service worker registration failed', error)
+  })
+}
+
+/**
+ * Describes the age of the proposal data below the proposal count.
+ *
+ * @param {string} status - One of the `MetadataStatus` values.
+ * @param {Date} fetchedAt - When the data on screen, or the newer data for `.outdated`, was downloaded.
+ */
+function updateMetadataStatus(status, fetchedAt) {
+  var container = document.querySelector('#metadata-status')
+  var time = html('time', { datetime: fetchedAt.toISOString() }, fetchedAt.toLocaleString(locale, {
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  }))
+
+  var children
+  switch (status) {
+    case MetadataStatus.revalidating:
+      children = tNodes('metadata.revalidating', { time: time })
+      break
+    case MetadataStatus.offline:
+      children = tNodes('metadata.offline', { time: time })
+      break
+    case MetadataStatus.outdated:
+      var reloadLink = html('a', { href: '', className: 'metadata-reload' }, t('metadata.reload'))
+      reloadLink.addEventListener('click', function (event) {
+        event.preventDefault()
+        window.location.reload()
+      })
+      children = tNodes('metadata.outdated', { time: time, reload: reloadLink })
+      break
+    default:
+      children = tNodes('metadata.fresh', { time: time })
+  }
+
+  container.innerHTML = ''
+  container.className = 'metadata-' + status
   children.forEach(function (child) {
-    if (!child) {
-      console.warn('Null child ignored during creation of ' + elementType)
-      return
+    container.appendChild(typeof child === 'string' ? document.createTextNode(child) : child)
+  })
+}
+
+/**
+ * Checks the parts of the metadata format that the page as a whole depends on.
+ * Any schema version in `metadataSchemas` is accepted.
+ *
+ * @param {Object} evolutionMetadata - Decoded metadata.
+ * @returns {?string} A description of the first problem found, or null if the metadata is usable.
+ */
+function metadataFormatError(evolutionMetadata) {
+  if (!evolutionMetadata || typeof evolutionMetadata !== 'object') return t('metadata.notObject')
+
+  var schema = _metadataSchema(evolutionMetadata)
+  if (!schema) {
+    var supportedVersions = Object.keys(metadataSchemas).map(function (version) { return version + '.x' })
+    return t('metadata.unsupportedSchema', {
+      version: JSON.stringify(evolutionMetadata.schemaVersion),
+      supported: new Intl.ListFormat(locale, { type: 'disjunction' }).format(supportedVersions)
+    })
+  }
+  if (!Array.isArray(evolutionMetadata.proposals)) return t('metadata.noProposals')
+  if (!_isArrayOf(schema.implementationVersions(evolutionMetadata), 'string')) {
+    return t('metadata.noVersions')
+  }
+
+  return null
+}
+
+/**
+ * Validates a single proposal in the internal model, see `Proposal`.
+ *
+ * Besides the problems detected here, this reports the `errors` that the metadata
+ * extractor recorded for the proposal. States that aren't known here aren't a problem;
+ * those proposals are listed with `State.unknown`.
+ *
+ * @param {Proposal} proposal - A proposal mapped by `normalizeMetadata`.
+ * @returns {string[]} Descriptions of the problems found. Empty for a well-formed proposal.
+ */
+function proposalProblems(proposal) {
+  if (!proposal || typeof proposal !== 'object') return [t('problems.notObject')]
+
+  var problems = (Array.isArray(proposal.errors) ? proposal.errors : []).map(function (error) {
+    return (error && error.message) || t('problems.unspecified')
+  })
+
+  var expect = function (condition, message) {
+    if (!condition) problems.push(message)
+  }
+
+  expect(typeof proposal.id === 'string' && /^SE-\d{4}$/.test(proposal.id), t('problems.invalidID', { id: JSON.stringify(proposal.id) }))
+  expect(typeof proposal.title === 'string' && proposal.title.trim().length > 0, t('problems.missingTitle'))
+  expect(typeof proposal.link === 'string' && proposal.link.length > 0, t('problems.missingLink'))
+
+  ;[['authors', 'Author'], ['reviewManagers', 'ReviewManager']].forEach(function (pair) {
+    var people = proposal[pair[0]]
+    expect(Array.isArray(people), t('problems.missing' + pair[1] + 's'))
+    if (!Array.isArray(people)) return
+
+    people.forEach(function (person) {
+      expect(person && typeof person.name === 'string', t('problems.invalid' + pair[1], { person: JSON.stringify(person) }))
+      expect(person && _isLink(person.link, true), t('problems.invalid' + pair[1] + 'Link', { name: JSON.stringify(person && person.name) }))
+    })
+  })
+
+  var status = proposal.status
+  if (!status || typeof status !== 'object') {
+    problems.push(t('problems.missingStatus'))
+  } else {
+    if (status.state === State.implemented) {
+      expect(typeof status.version === 'string' && status.version.length > 0, t('problems.missingVersion'))
+    }
+    if (status.state === State.activeReview || status.state === State.scheduledForReview) {
+      expect(_isReviewDate(status.start) && _isReviewDate(status.end), t('problems.missingReviewDates'))
+    }
+  }
+
+  if (proposal.trackingBugs !== undefined) {
+    expect(Array.isArray(proposal.trackingBugs) && proposal.trackingBugs.every(function (bug) {
+      return bug && typeof bug.id === 'string' && _isLink(bug.link, false)
+    }), t('problems.invalidBugs'))
+  }
+
+  if (proposal.implementation !== undefined) {
+    expect(Array.isArray(proposal.implementation) && proposal.implementation.every(function (impl) {
+      return impl && ['account', 'repository', 'id'].every(function (key) { return typeof impl[key] === 'string' }) &&
+        (impl.type === 'pull' || impl.type === 'commit')
+    }), t('problems.invalidImplementation'))
+  }
+
+  if (proposal.upcomingFeatureFlag !== undefined) {
+    expect(proposal.upcomingFeatureFlag && typeof proposal.upcomingFeatureFlag.flag === 'string', t('problems.invalidFlag'))
+  }
+
+  return problems
+}
+
+function _isArrayOf(value, type) {
+  return Array.isArray(value) && value.every(function (element) { return typeof element === type })
+}
+
+/** Links in the metadata must be http(s) URLs, since they are rendered as anchors. */
+function _isLink(value, allowEmpty) {
+  if (typeof value !== 'string') return false
+  if (value.length === 0) return allowEmpty
+  return /^https?:\/\//i.test(value)
+}
+
+function _isReviewDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value))
+}
+
+/**
+ * Translates the page's static text: elements with a `data-message` attribute get
+ * the message it names, and `#locale-select` lists the available translations.
+ */
+function renderStaticText() {
+  document.querySelector('.evolution-dashboard').setAttribute('lang', locale)
+  document.querySelector('#search-filter').setAttribute('placeholder', t('search.placeholder'))
+  document.querySelector('#auto-refresh-label').setAttribute('title', t('options.autoRefreshTitle'))
+  document.querySelector('#compare-tray-toggle').textContent = t('compare.hide')
+
+  ;[].forEach.call(document.querySelectorAll('[data-message]'), function (element) {
+    element.textContent = t(element.getAttribute('data-message'))
+  })
+
+  var localeSelect = document.querySelector('#locale-select')
+  var chosenLocale = _readStorage(LOCALE_STORAGE_KEY, '')
+  localeSelect.setAttribute('aria-label', t('locale.label'))
+  localeSelect.appendChild(html('option', { value: '' }, t('locale.automatic')))
+  Object.keys(messageCatalog).forEach(function (tag) {
+    localeSelect.appendChild(html('option', { value: tag, lang: tag }, messageCatalog[tag]['locale.name']))
+  })
+  localeSelect.value = messageCatalog[chosenLocale] ? chosenLocale : ''
+}
+
+/**
+ * Saves the locale chosen with `#locale-select` and reloads the page to apply it.
+ * The filters survive the reload in the URI fragment.
+ */
+function changeLocale(event) {
+  var chosenLocale = event.target.value
+  if (chosenLocale) {
+    _writeStorage(LOCALE_STORAGE_KEY, chosenLocale)
+  } else {
+    try {
+      window.localStorage.removeItem(LOCALE_STORAGE_KEY)
+    } catch (error) {
+      console.warn('Unable to clear ' + LOCALE_STORAGE_KEY, error)
+    }
+  }
+  window.location.reload()
+}
+
+/** The properties of a proposal that are compared between visits for watched proposals. */
+function _watchedProperties(proposal) {
+  return {
+    state: proposal.status.state,
+    version: proposal.status.version || null,
+    start: proposal.status.start || null,
+    end: proposal.status.end || null
+  }
+}
+
+/**
+ * Compares the watched proposals to the snapshot saved on the previous visit,
+ * then replaces the snapshot with their current state.
+ *
+ * @returns {Object} Lists of change descriptions, keyed by the IDs of the proposals that changed.
+ */
+function _detectWatchedProposalChanges() {
+  var previousSnapshot = _readStorage(WATCH_SNAPSHOT_STORAGE_KEY, {})
+  var snapshot = {}
+  var changes = {}
+
+  proposals.forEach(function (proposal) {
+    if (watchedProposalIDs.indexOf(proposal.id) === -1) return
+
+    var current = _watchedProperties(proposal)
+    var previous = previousSnapshot[proposal.id]
+    snapshot[proposal.id] = current
+    if (!previous) return
+
+    var descriptions = []
+    if (previous.state !== current.state) {
+      var stateName = function (state) { return states[state] ? states[state].name : state }
+      descriptions.push(t('watch.changedStatus', { previous: stateName(previous.state), current: stateName(current.state) }))
+    }
+    if (previous.version !== current.version) {
+      descriptions.push(t('watch.changedVersion', {
+        previous: previous.version || t('watch.none'),
+        current: current.version || t('watch.none')
+      }))
     }
-    if (Object.getPrototypeOf(child) === String.prototype) {
-      child = document.createTextNode(child)
+    if (previous.start !== current.start || previous.end !== current.end) {
+      var period = function (properties) {
+        return properties.start && properties.end ? _reviewPeriodText(properties) : t('watch.none')
+      }
+      descriptions.push(t('watch.changedReview', { previous: period(previous), current: period(current) }))
     }
 
-    element.appendChild(child)
+    if (descriptions.length) changes[proposal.id] = descriptions
+  })
+
+  _writeStorage(WATCH_SNAPSHOT_STORAGE_KEY, snapshot)
+  return changes
+}
+
+/** Kinds of changes listed in the digest of changes since the previous visit, in display order. */
+const VisitChange = Object.freeze({
+  added: 'added',
+  activeReview: State.activeReview,
+  accepted: State.accepted,
+  rejected: State.rejected,
+  implemented: State.implemented
+})
+
+/** The `VisitChange` reported for proposals that moved to a state, if any. */
+function _visitChangeForState(state) {
+  if (state === State.acceptedWithRevisions) return VisitChange.accepted
+  return _objectValues(VisitChange).indexOf(state) !== -1 ? state : null
+}
+
+/**
+ * Compares the proposals to the summary saved on the previous visit, then saves
+ * a summary of the current proposals for the next visit.
+ *
+ * Nothing is reported on the first visit, or when the previous visit showed proposals
+ * from a different metadata source.
+ *
+ * @returns {Object} Arrays of proposals keyed by `VisitChange`.
+ */
+function _detectChangesSinceLastVisit() {
+  var previousSnapshot = _readStorage(VISIT_SNAPSHOT_STORAGE_KEY, null)
+  var snapshot = { source: metadataURL, states: {} }
+  var changes = {}
+
+  proposals.forEach(function (proposal) {
+    snapshot.states[proposal.id] = proposal.status.state
+  })
+
+  if (previousSnapshot && previousSnapshot.source === metadataURL && previousSnapshot.states) {
+    proposals.forEach(function (proposal) {
+      var previousState = previousSnapshot.states[proposal.id]
+      var change = null
+
+      if (previousState === undefined) {
+        change = VisitChange.added
+      } else if (_visitChangeForState(previousState) !== _visitChangeForState(proposal.status.state)) {
+        change = _visitChangeForState(proposal.status.state)
+      }
+
+      if (change) (changes[change] = changes[change] || []).push(proposal)
+    })
+  }
+
+  _writeStorage(VISIT_SNAPSHOT_STORAGE_KEY, snapshot)
+  return changes
+}
+
+/** Lists the changes since the previous visit in a dismissible banner. */
+function renderVisitDigest() {
+  var banner = document.querySelector('#visit-digest')
+  var groups = _objectValues(VisitChange).filter(function (change) {
+    return visitChanges[change]
+  }).map(function (change) {
+    var title = change === VisitChange.added ? t('digest.added') : states[change].name
+    return html('li', { className: 'visit-digest-group' }, [
+      html('h5', null, t('digest.group', { title: title, count: visitChanges[change].length })),
+      html('ul', null, visitChanges[change].map(function (proposal) {
+        return html('li', null, [
+          html('a', { href: '#' + proposal.id }, [
+            html('span', { className: 'proposal-id' }, proposal.id),
+            proposal.title.trim()
+          ])
+        ])
+      }))
+    ])
+  })
+
+  if (!groups.length) return
+
+  var dismissButton = html('button', { type: 'button', className: 'visit-digest-dismiss', 'aria-label': t('digest.dismiss') }, '×')
+  dismissButton.addEventListener('click', function () {
+    banner.classList.add('hidden')
+  })
+
+  banner.appendChild(dismissButton)
+  banner.appendChild(html('h4', null, t('digest.heading')))
+  banner.appendChild(html('ul', { className: 'visit-digest-groups' }, groups))
+  banner.classList.remove('hidden')
+}
+
+/**
+ * Stars or unstars a proposal, updating its toggle and the watched filter.
+ *
+ * @param {string} proposalID - An SE-nnnn proposal ID.
+ */
+function toggleWatched(proposalID) {
+  var index = watchedProposalIDs.indexOf(proposalID)
+  var isWatched = index === -1
+  var snapshot = _readStorage(WATCH_SNAPSHOT_STORAGE_KEY, {})
+
+  if (isWatched) {
+    watchedProposalIDs.push(proposalID)
+    var proposal = proposals.filter(function (p) { return p.id === proposalID })[0]
+    if (proposal) snapshot[proposalID] = _watchedProperties(proposal)
+  } else {
+    watchedProposalIDs.splice(index, 1)
+    delete snapshot[proposalID]
+  }
+
+  _writeStorage(WATCHED_STORAGE_KEY, watchedProposalIDs)
+  _writeStorage(WATCH_SNAPSHOT_STORAGE_KEY, snapshot)
+
+  var toggle = proposalElements[proposalID] && proposalElements[proposalID].querySelector('.watch-toggle')
+  if (toggle) _updateWatchToggle(toggle, proposalID, isWatched)
+
+  updateWatchedFilterLabel()
+  if (document.querySelector('#filter-by-watched').checked) filterProposals()
+}
+
+function _updateWatchToggle(toggle, proposalID, isWatched) {
+  toggle.setAttribute('aria-pressed', isWatched ? 'true' : 'false')
+  toggle.setAttribute('aria-label', t('watch.label', { id: proposalID }))
+  toggle.setAttribute('title', t(isWatched ? 'watch.stop' : 'watch.label', { id: proposalID }))
+  toggle.textContent = isWatched ? '★' : '☆'
+}
+
+/** Updates the count on the "Watched" filter option. */
+function updateWatchedFilterLabel() {
+  var label = document.querySelector('label[for="filter-by-watched"]')
+  label.innerText = addNumberToState(t('filters.watched'), watchedProposalIDs.length)
+}
+
+/**
+ * Adds a proposal to the compare tray, or removes it if it's already there.
+ *
+ * @param {string} proposalID - The ID of a listed proposal.
+ */
+function toggleCompared(proposalID) {
+  var index = comparedProposalIDs.indexOf(proposalID)
+  if (index === -1) {
+    comparedProposalIDs.push(proposalID)
+  } else {
+    comparedProposalIDs.splice(index, 1)
+  }
+
+  var checkbox = proposalElements[proposalID] && proposalElements[proposalID].querySelector('.compare-checkbox')
+  if (checkbox) checkbox.checked = index === -1
+
+  renderCompareTray()
+  _updateURIFragment()
+}
+
+/** Removes every proposal from the compare tray. */
+function clearComparison() {
+  comparedProposalIDs.forEach(function (proposalID) {
+    var checkbox = proposalElements[proposalID] && proposalElements[proposalID].querySelector('.compare-checkbox')
+    if (checkbox) checkbox.checked = false
+  })
+  comparedProposalIDs = []
+
+  renderCompareTray()
+  _updateURIFragment()
+}
+
+/**
+ * Shows the compared proposals side by side, one column per proposal and one row per
+ * `comparisonRows` entry. The tray is hidden while no proposals are compared.
+ */
+function renderCompareTray() {
+  var tray = document.querySelector('#compare-tray')
+  var container = document.querySelector('#compare-table')
+  var comparedProposals = comparedProposalIDs.map(function (proposalID) {
+    return proposals.filter(function (proposal) { return proposal.id === proposalID })[0]
+  }).filter(Boolean)
+
+  container.innerHTML = ''
+  tray.classList.toggle('hidden', !comparedProposals.length)
+  if (!comparedProposals.length) return
+
+  document.querySelector('#compare-tray-heading').textContent = t('compare.heading', { count: comparedProposals.length })
+
+  var headingRow = html('tr', null, [html('td')].concat(comparedProposals.map(function (proposal) {
+    var label = t('compare.remove', { id: proposal.id })
+    return html('th', { scope: 'col' }, [
+      html('a', { href: REPO_PROPOSALS_BASE_URL + '/' + proposal.link, target: '_blank' }, proposal.id),
+      html('button', { type: 'button', className: 'compare-remove', 'data-proposal-id': proposal.id, 'aria-label': label, title: label }, '×'),
+      html('div', { className: 'compare-title' }, proposal.title.trim())
+    ])
+  })))
+
+  var rows = comparisonRows.map(function (row) {
+    return html('tr', null, [html('th', { scope: 'row' }, t(row.label))].concat(comparedProposals.map(function (proposal) {
+      var nodes = row.cell(proposal)
+      return html('td', null, nodes && nodes.length ? nodes : '—')
+    })))
+  })
+
+  container.appendChild(html('table', { className: 'compare-table' }, [
+    html('thead', null, headingRow),
+    html('tbody', null, rows)
+  ]))
+  if (comparedProposals.length === 1) container.appendChild(html('p', { className: 'compare-hint' }, t('compare.hint')))
+}
+
+/** Collapses the compare tray to its heading, or expands it again. */
+function toggleCompareTable() {
+  var button = document.querySelector('#compare-tray-toggle')
+  var isExpanded = button.getAttribute('aria-expanded') !== 'true'
+
+  button.setAttribute('aria-expanded', isExpanded ? 'true' : 'false')
+  button.textContent = t(isExpanded ? 'compare.hide' : 'compare.show')
+  document.querySelector('#compare-table').classList.toggle('hidden', !isExpanded)
+}
+
+/**
+ * Creates an SVG element. Works like `html`, but in the SVG namespace.
+ *
+ * @param {string} elementType - The tag name. 'svg', 'rect', etc.
+ * @param {Object} attributes - A map of attribute names to values. Use `className` for `class`.
+ * @param {(string | Element)[]} children - A list of either text or other Elements to be nested under this Element.
+ * @returns {Element} The new node.
+ */
+function svg(elementType, attributes, children) {
+  var element = document.createElementNS('http://www.w3.org/2000/svg', elementType)
+
+  Object.keys(attributes || {}).forEach(function (attributeName) {
+    element.setAttribute(attributeName === 'className' ? 'class' : attributeName, attributes[attributeName])
+  })
+
+  ;[].concat(children || []).forEach(function (child) {
+    element.appendChild(typeof child === 'string' ? document.createTextNode(child) : child)
   })
 
   return element
@@ -211,7 +1077,8 @@ function determineNumberOfProposals(proposals) {
   })
 
   proposals.forEach(function (proposal) {
-    states[proposal.status.state].count += 1
+    var state = states[proposal.status.state] || states[State.unknown]
+    state.count += 1
   })
 
   // .acceptedWithRevisions proposals are combined in the filtering UI
@@ -223,12 +1090,18 @@ function determineNumberOfProposals(proposals) {
  * Adds the dynamic portions of the page to the DOM, primarily the list
  * of proposals and list of statuses used for filtering.
  *
- * These `render` functions are only called once when the page loads,
- * the rest of the interactivity is based on toggling `display: none`.
+ * These `render` functions are only called once when the page loads, the rest
+ * of the interactivity is based on listing the proposals that pass the filters.
  */
 function render () {
+  renderStaticText()
   renderSearchBar()
+  updateFacetCounts(proposals)
   renderProposals()
+  updateReviewCountdowns()
+  renderProblems()
+  renderMetadataSource()
+  renderVisitDigest()
 }
 
 /** Renders the search bar. */
@@ -246,14 +1119,14 @@ function renderSearchBar () {
 
     return html('li', null, [
       html('input', { type: 'checkbox', className: 'filtered-by-status', id: 'filter-by-' + className, value: className }),
-      html('label', { className: className, tabindex: '0', role: 'button', 'for': 'filter-by-' + className, 'data-state-key': state }, [
+      html('label', { className: className, 'for': 'filter-by-' + className, 'data-state-key': state }, [
         addNumberToState(states[state].name, states[state].count)
       ])
     ])
   })
 
-  var expandableArea = html('div', { className: 'filter-options expandable' }, [
-    html('h5', { id: 'filter-options-label' }, 'Status'),
+  var expandableArea = html('div', { id: 'filter-panel', className: 'filter-options expandable' }, [
+    html('h5', { id: 'filter-options-label' }, t('filters.status')),
     html('ul', { id: 'status-options', className: 'filter-list' })
   ])
 
@@ -270,116 +1143,249 @@ function renderSearchBar () {
 
   if (implementedCheckboxIfPresent) {
     // Add an extra row of options to filter by language version
-    var versionRowHeader = html('h5', { id: 'version-options-label', className: 'hidden' }, 'Swift Version')
+    var versionRowHeader = html('h5', { id: 'version-options-label', className: 'hidden' }, t('filters.version'))
     var versionRow = html('ul', { id: 'version-options', className: 'filter-list hidden' })
 
-    var versionOptions = languageVersions.map(function (version) {
-      return html('li', null, [
-        html('input', {
-          type: 'checkbox',
-          id: 'filter-by-swift-' + _idSafeName(version),
-          className: 'filter-by-swift-version',
-          value: 'swift-' + _idSafeName(version)
-        }),
-        html('label', {
-          tabindex: '0',
-          role: 'button',
-          'for': 'filter-by-swift-' + _idSafeName(version)
-        }, version)
-      ])
-    })
-
-    versionOptions.forEach(function (version) {
-      versionRow.appendChild(version)
-    })
-
     expandableArea.appendChild(versionRowHeader)
     expandableArea.appendChild(versionRow)
   }
 
+  // Two versions select the proposals implemented in the releases from one to the other.
+  var versionRangeSelect = function (id, label) {
+    return html('select', { id: id, className: 'version-range-select', 'aria-label': label })
+  }
+  expandableArea.appendChild(html('h5', { id: 'version-range-label' }, t('filters.versionRange')))
+  expandableArea.appendChild(html('div', { id: 'version-range' }, [
+    html('span', null, t('filters.versionRangeFrom')),
+    versionRangeSelect('version-range-from', t('filters.versionRangeFromLabel')),
+    html('span', null, t('filters.versionRangeThrough')),
+    versionRangeSelect('version-range-to', t('filters.versionRangeToLabel')),
+    html('span', null, t('filters.versionRangeEnd'))
+  ]))
+  updateVersionOptions()
+
+  // Facets list the people and repositories of the proposals, each with a field to find one among many.
+  _objectValues(Facet).forEach(function (facet) {
+    expandableArea.appendChild(html('h5', { id: 'facet-' + facet + '-label' }, t('filters.' + facet)))
+    expandableArea.appendChild(html('div', { id: 'facet-' + facet, className: 'facet', 'data-facet': facet }, [
+      html('input', {
+        type: 'search',
+        className: 'facet-search',
+        placeholder: t('filters.facetSearch'),
+        'aria-labelledby': 'facet-' + facet + '-label'
+      }),
+      html('ul', { className: 'facet-options', 'aria-labelledby': 'facet-' + facet + '-label' }),
+      html('div', { className: 'facet-more' })
+    ]))
+  })
+
+  // Starred proposals can be filtered on in combination with the other options.
+  expandableArea.appendChild(html('h5', { id: 'watch-options-label' }, t('filters.watchList')))
+  expandableArea.appendChild(html('ul', { id: 'watch-options', className: 'filter-list' }, [
+    html('li', null, [
+      html('input', { type: 'checkbox', id: 'filter-by-watched', className: 'filter-by-watched', value: 'watched' }),
+      html('label', { 'for': 'filter-by-watched' }, t('filters.watched'))
+    ])
+  ]))
+  updateWatchedFilterLabel()
+
   return searchBar
 }
 
-/** Displays the main list of proposals */
+/**
+ * Lists the versions in `languageVersions` in the version filter row and the release range menus.
+ * Versions that were selected stay selected.
+ */
+function updateVersionOptions() {
+  var versionRow = document.querySelector('#version-options')
+  if (versionRow) {
+    var checkedIDs = [].map.call(versionRow.querySelectorAll('input:checked'), function (checkbox) { return checkbox.id })
+    versionRow.innerHTML = ''
+
+    languageVersions.forEach(function (version) {
+      var checkbox = html('input', {
+        type: 'checkbox',
+        id: 'filter-by-swift-' + _idSafeName(version),
+        className: 'filter-by-swift-version',
+        value: 'swift-' + _idSafeName(version)
+      })
+      checkbox.checked = checkedIDs.indexOf(checkbox.id) !== -1
+
+      versionRow.appendChild(html('li', null, [
+        checkbox,
+        html('label', { 'for': 'filter-by-swift-' + _idSafeName(version) }, version)
+      ]))
+    })
+  }
+
+  var rangeVersions = languageVersions.concat().sort(_compareVersions)
+  ;[].forEach.call(document.querySelectorAll('.version-range-select'), function (select) {
+    var selectedVersion = select.value
+    select.innerHTML = ''
+    select.appendChild(html('option', { value: '' }, '—'))
+    rangeVersions.forEach(function (version) {
+      select.appendChild(html('option', { value: version }, version))
+    })
+    select.value = rangeVersions.indexOf(selectedVersion) !== -1 ? selectedVersion : ''
+  })
+}
+
+/**
+ * Lists the proposals in `proposalPresentationOrder`. Their elements are created as they're
+ * listed, see `renderProposalWindow`.
+ */
 function renderProposals() {
-  var article = document.querySelector('article')
+  renderedProposals = []
+  proposalPresentationOrder.forEach(function (state) {
+    renderedProposals = renderedProposals.concat(proposals.filter(function (p) { return p.status && p.status.state === state }))
+  })
 
-  var proposalAttachPoint = article.querySelector('.proposals-list')
+  shownProposals = arrangeProposals(renderedProposals, false)
+  renderProposalWindow(0)
 
-  var proposalPresentationOrder = [
-    State.awaitingReview, State.scheduledForReview, State.activeReview, State.accepted, State.acceptedWithRevisions,
-    State.previewing, State.implemented, State.returnedForRevision, State.rejected, State.withdrawn
-  ]
+  // Update the "(n) proposals" text
+  updateProposalsCount(renderedProposals.length)
+}
 
-  proposalPresentationOrder.map(function (state) {
-    var matchingProposals = proposals.filter(function (p) { return p.status && p.status.state === state })
-    matchingProposals.map(function (proposal) {
-      var proposalBody = html(
-        "section",
-        { id: proposal.id, className: "proposal " + proposal.id },
-        [
-          html("div", { className: "status-pill-container" }, [
+/**
+ * The element of a proposal in the list, which is created the first time it's needed.
+ *
+ * @param {Proposal} proposal - One of the `renderedProposals`.
+ * @returns {Element} The proposal's `article.proposal` element.
+ */
+function _proposalElement(proposal) {
+  if (proposalElements[proposal.id]) return proposalElements[proposal.id]
+
+  var state = proposal.status.state
+
+  // Each proposal is an article of one of the list's feeds, named by its heading.
+  var proposalBody = html(
+    "article",
+    {
+      id: proposal.id,
+      className: "proposal " + proposal.id,
+      tabindex: "-1",
+      "aria-labelledby": proposal.id + "-heading",
+    },
+    [
+      html("div", { className: "status-pill-container" }, [
+        html(
+          "span",
+          { className: "status-pill color-" + states[state].className },
+          [states[proposal.status.state].shortName]
+        ),
+      ]),
+      html("div", { className: "proposal-content" }, [
+        html("div", { className: "proposal-header" }, [
+          html("h4", { id: proposal.id + "-heading", className: "proposal-heading" }, [
+            html("span", { className: "proposal-id" }, [proposal.id]),
             html(
-              "span",
-              { className: "status-pill color-" + states[state].className },
-              [states[proposal.status.state].shortName]
+              "a",
+              {
+                href: REPO_PROPOSALS_BASE_URL + "/" + proposal.link,
+                target: "_blank",
+                className: "proposal-title",
+              },
+              [proposal.title.trim()]
             ),
           ]),
-          html("div", { className: "proposal-content" }, [
-            html("h4", { className: "proposal-header" }, [
-              html("span", { className: "proposal-id" }, [proposal.id]),
-              html(
-                "a",
-                {
-                  href: REPO_PROPOSALS_BASE_URL + "/" + proposal.link,
-                  target: "_blank",
-                  className: "proposal-title",
-                },
-                [proposal.title.trim()]
-              ),
-            ]),
+          html("button", { type: "button", className: "watch-toggle", "data-proposal-id": proposal.id }),
+          html("label", { className: "compare-toggle" }, [
+            html("input", { type: "checkbox", className: "compare-checkbox", "data-proposal-id": proposal.id }),
+            t("compare.toggle"),
           ]),
-        ]
-      );
-
-      var detailNodes = []
-      detailNodes.push(renderAuthors(proposal.authors))
-
-      if (proposal.reviewManagers.length > 0) detailNodes.push(renderReviewManagers(proposal.reviewManagers))
-      if (proposal.trackingBugs) detailNodes.push(renderTrackingBugs(proposal.trackingBugs))
-      if (state === State.implemented) detailNodes.push(renderVersion(proposal.status.version))
-      if (state === State.previewing) detailNodes.push(renderPreview())
-      if (proposal.implementation) detailNodes.push(renderImplementation(proposal.implementation))
-      if (proposal.upcomingFeatureFlag) detailNodes.push(renderUpcomingFeatureFlag(proposal.upcomingFeatureFlag.flag))
-      if (state === State.acceptedWithRevisions) detailNodes.push(renderStatus(proposal.status))
-
-      if (state === State.activeReview || state === State.scheduledForReview) {
-        detailNodes.push(renderStatus(proposal.status))
-        detailNodes.push(renderReviewPeriod(proposal.status))
-      }
+        ]),
+      ]),
+    ]
+  );
+
+  _updateWatchToggle(proposalBody.querySelector('.watch-toggle'), proposal.id, watchedProposalIDs.indexOf(proposal.id) !== -1)
+  proposalBody.querySelector('.compare-checkbox').checked = comparedProposalIDs.indexOf(proposal.id) !== -1
+
+  if (watchedProposalChanges[proposal.id]) {
+    proposalBody.classList.add('watched-changed')
+    proposalBody.querySelector('.proposal-content').appendChild(
+      html('div', { className: 'watched-changes' }, [
+        html('span', { className: 'watched-changes-label' }, t('watch.changes'))
+      ].concat(_joinNodes(watchedProposalChanges[proposal.id].map(function (change) {
+        return document.createTextNode(change)
+      }), '; ')))
+    )
+  }
 
-      if (state === State.returnedForRevision) {
-        detailNodes.push(renderStatus(proposal.status))
-      }
+  var detailNodes = []
+  detailNodes.push(renderAuthors(proposal.authors))
 
-      var details = html('div', { className: 'proposal-details' }, detailNodes)
+  if (proposal.reviewManagers.length > 0) detailNodes.push(renderReviewManagers(proposal.reviewManagers))
+  if (proposal.trackingBugs) detailNodes.push(renderTrackingBugs(proposal.trackingBugs))
+  if (state === State.implemented) detailNodes.push(renderVersion(proposal.status.version))
+  if (state === State.previewing) detailNodes.push(renderPreview())
+  if (proposal.implementation) detailNodes.push(renderImplementation(proposal.implementation))
+  if (proposal.upcomingFeatureFlag) detailNodes.push(renderUpcomingFeatureFlag(proposal.upcomingFeatureFlag.flag))
+  if (state === State.acceptedWithRevisions) detailNodes.push(renderStatus(proposal.status))
 
-      proposalBody.querySelector('.proposal-content').appendChild(details)
-      proposalAttachPoint.appendChild(proposalBody)
-    })
+  if (state === State.activeReview || state === State.scheduledForReview) {
+    detailNodes.push(renderStatus(proposal.status))
+    detailNodes.push(renderReviewPeriod(proposal.status))
+  }
+
+  if (state === State.returnedForRevision || state === State.unknown) {
+    detailNodes.push(renderStatus(proposal.status))
+  }
+
+  var details = html('div', { className: 'proposal-details' }, detailNodes)
+
+  proposalBody.querySelector('.proposal-content').appendChild(details)
+  if (proposal.id === keyboardCursorID) proposalBody.classList.add('keyboard-cursor')
+  ;[].forEach.call(proposalBody.querySelectorAll('.review-countdown'), _updateReviewCountdown)
+
+  proposalElements[proposal.id] = proposalBody
+  return proposalBody
+}
+
+/** Lists the malformed proposals, which aren't part of the main list, in a collapsed section. */
+function renderProblems() {
+  var section = document.querySelector('#proposal-problems')
+  section.innerHTML = ''
+  section.classList.toggle('hidden', !malformedProposals.length)
+  if (!malformedProposals.length) return
+
+  var items = malformedProposals.map(function (entry) {
+    var proposal = entry.proposal
+    var heading = [html('span', { className: 'proposal-id' }, String(proposal.id || t('problems.unknownID')))]
+
+    if (typeof proposal.title === 'string' && typeof proposal.link === 'string') {
+      heading.push(html('a', { href: REPO_PROPOSALS_BASE_URL + '/' + proposal.link, target: '_blank' }, proposal.title.trim()))
+    }
+
+    return html('li', { className: 'problem' }, [
+      html('h5', null, heading),
+      html('ul', { className: 'problem-messages' }, entry.problems.map(function (problem) {
+        return html('li', null, problem)
+      }))
+    ])
   })
 
-  // Update the "(n) proposals" text
-  updateProposalsCount(article.querySelectorAll('.proposal').length)
+  section.appendChild(html('summary', null, t('problems.summary', { count: malformedProposals.length })))
+  section.appendChild(html('ul', { className: 'problem-list' }, items))
+}
+
+/** Points out when the proposals shown aren't the official ones. */
+function renderMetadataSource() {
+  if (metadataURL === EVOLUTION_METADATA_URL) return
 
-  return article
+  var container = document.querySelector('#metadata-source')
+  tNodes('metadata.source', { url: html('a', { href: metadataURL }, metadataURL) }).forEach(function (child) {
+    container.appendChild(typeof child === 'string' ? document.createTextNode(child) : child)
+  })
+  container.classList.remove('hidden')
 }
 
 /** Authors have a `name` and optional `link`. */
 function renderAuthors(authors) {
   return html('div', { className: 'authors proposal-detail' }, [
     html('div', { className: 'proposal-detail-label' },
-      authors.length > 1 ? 'Authors: ' : 'Author: '
+      t('detail.authors', { count: authors.length })
     ),
     html('div', { className: 'proposal-detail-value' },
       personNodesForPersonArray(authors))
@@ -390,7 +1396,7 @@ function renderAuthors(authors) {
 function renderReviewManagers(reviewManagers) {
   return html('div', { className: 'review-managers proposal-detail' }, [
     html('div', { className: 'proposal-detail-label' },
-      reviewManagers.length > 1 ? 'Review Managers: ' : 'Review Manager: '
+      t('detail.reviewManagers', { count: reviewManagers.length })
     ),
     html('div', { className: 'proposal-detail-value' }, 
       personNodesForPersonArray(reviewManagers))
@@ -411,15 +1417,11 @@ function personNodesForPersonArray(personArray) {
 
 /** Tracking bugs linked in a proposal are updated via GitHub Issues. */
 function renderTrackingBugs(bugs) {
-  var bugNodes = bugs.map(function (bug) {
-    return html('a', { href: bug.link, target: '_blank' }, bug.id)
-  })
-
-  bugNodes = _joinNodes(bugNodes, ', ')
+  var bugNodes = trackingBugNodes(bugs)
 
   return html('div', { className: 'proposal-detail' }, [
     html('div', { className: 'proposal-detail-label' }, [
-      bugs.length > 1 ? 'Bugs: ' : 'Bug: '
+      t('detail.bugs', { count: bugs.length })
     ]),
     html('div', { className: 'bug-list proposal-detail-value' },
       bugNodes
@@ -427,8 +1429,31 @@ function renderTrackingBugs(bugs) {
   ])
 }
 
+/** Create links for the tracking bugs of a proposal. */
+function trackingBugNodes(bugs) {
+  var bugNodes = bugs.map(function (bug) {
+    return html('a', { href: bug.link, target: '_blank' }, bug.id)
+  })
+
+  return _joinNodes(bugNodes, ', ')
+}
+
 /** Implementations are required alongside proposals (after Swift 4.0). */
 function renderImplementation(implementations) {
+  var implNodes = implementationNodes(implementations)
+
+  var label = t('detail.implementation')
+
+  return html('div', { className: 'proposal-detail' }, [
+    html('div', { className: 'proposal-detail-label' }, [label]),
+    html('div', { className: 'implementation-list proposal-detail-value' },
+      implNodes
+    )
+  ])
+}
+
+/** Create links for the pull requests and commits that implement a proposal. */
+function implementationNodes(implementations) {
   var implNodes = implementations.map(function (impl) {
     return html('a', {
       href: GITHUB_BASE_URL + impl.account + '/' + impl.repository + '/' + impl.type + '/' + impl.id
@@ -439,23 +1464,14 @@ function renderImplementation(implementations) {
     ])
   })
 
-  implNodes = _joinNodes(implNodes, ', ')
-
-  var label = 'Implementation: '
-
-  return html('div', { className: 'proposal-detail' }, [
-    html('div', { className: 'proposal-detail-label' }, [label]),
-    html('div', { className: 'implementation-list proposal-detail-value' },
-      implNodes
-    )
-  ])
+  return _joinNodes(implNodes, ', ')
 }
 
 /** For proposals that contain an upcoming feature flag. */
 function renderUpcomingFeatureFlag(upcomingFeatureFlag) {
-  return html('div', { className: 'proposal-detail' }, [
+  return html('div', { className: 'upcoming-feature-flag proposal-detail' }, [
     html('div', { className: 'proposal-detail-label' }, [
-      'Upcoming Feature Flag: '
+      t('detail.upcomingFeatureFlag')
     ]),
     html('div', { className: 'proposal-detail-value' }, [
       upcomingFeatureFlag
@@ -467,11 +1483,11 @@ function renderUpcomingFeatureFlag(upcomingFeatureFlag) {
 function renderPreview() {
   return html('div', { className: 'proposal-detail' }, [
     html('div', { className: 'proposal-detail-label' }, [
-      'Preview: '
+      t('detail.preview')
     ]),
     html('div', { className: 'proposal-detail-value' }, [
       html('a', { href: 'https://github.com/apple/swift-standard-library-preview', target: '_blank' },
-        'Standard Library Preview'
+        t('detail.previewPackage')
       )
     ])
   ])
@@ -481,10 +1497,10 @@ function renderPreview() {
 function renderVersion(version) {
   return html('div', { className: 'proposal-detail' }, [
     html('div', { className: 'proposal-detail-label' }, [
-      'Implemented In: '
+      t('detail.implementedIn')
     ]),
     html('div', { className: 'proposal-detail-value' }, [
-      'Swift ' + version
+      t('detail.swiftVersion', { version: version })
     ])
   ])
 }
@@ -493,52 +1509,634 @@ function renderVersion(version) {
 function renderStatus (status) {
   return html('div', { className: 'proposal-detail' }, [
     html('div', { className: 'proposal-detail-label' }, [
-      'Status: '
+      t('detail.status')
     ]),
     html('div', { className: 'proposal-detail-value' }, [
-      states[status.state].name
+      states[status.state].name +
+        (typeof status.unrecognizedState === 'string' ? ' (' + status.unrecognizedState + ')' : '')
     ])
   ])
 }
 
 /**
  * Review periods are ISO-8601-style 'YYYY-MM-DD' dates.
+ * They are followed by how soon the review starts or ends; see `updateReviewCountdowns`.
  */
 function renderReviewPeriod (status) {
-  var months = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
-    'August', 'September', 'October', 'November', 'December'
-  ]
+  return html('div', { className: 'proposal-detail' }, [
+    html('div', { className: 'proposal-detail-label' }, [
+      t('detail.scheduled')
+    ]),
+    html('div', { className: 'proposal-detail-value' }, [
+      _reviewPeriodText(status),
+      ' ',
+      html('span', { className: 'review-countdown', 'data-start': status.start, 'data-end': status.end })
+    ])
+  ])
+}
+
+/**
+ * Describes a review period relative to today, e.g. 'starts tomorrow', 'ends in 2 days' or
+ * 'ended yesterday', in `locale`.
+ */
+function _reviewCountdownText (start, end) {
+  var format = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' })
+  var daysToStart = _daysFromToday(start)
+  var daysToEnd = _daysFromToday(end)
+
+  if (daysToStart > 0) return t('review.starts', { time: format.format(daysToStart, 'day') })
+  if (daysToEnd >= 0) return t('review.ends', { time: format.format(daysToEnd, 'day') })
+  return t('review.ended', { time: format.format(daysToEnd, 'day') })
+}
+
+/**
+ * The number of calendar days from today until a 'YYYY-MM-DD' date, negative for past dates.
+ * Uses the reader's time zone, so a review ends "today" for the whole of its last local day.
+ */
+function _daysFromToday (dateString) {
+  var components = dateString.split('-').map(Number)
+  var date = new Date(components[0], components[1] - 1, components[2])
+  var today = new Date()
+  today.setHours(0, 0, 0, 0)
+
+  // Rounding absorbs the hour gained or lost when daylight saving time changes in between.
+  return Math.round((date - today) / (24 * 60 * 60 * 1000))
+}
+
+/**
+ * Brings the relative review dates up to date. Called periodically, so that a page
+ * left open overnight doesn't keep saying a review "ends today".
+ */
+function updateReviewCountdowns () {
+  var today = new Date().toDateString()
+  var isNewDay = reviewCountdownDay !== null && reviewCountdownDay !== today
+  reviewCountdownDay = today
+
+  // Includes proposals that are currently filtered out, so they are up to date when listed again.
+  Object.keys(proposalElements).forEach(function (id) {
+    ;[].forEach.call(proposalElements[id].querySelectorAll('.review-countdown'), _updateReviewCountdown)
+  })
+
+  // The deadline order changes as reviews end.
+  if (isNewDay && selectedSortKey() === SortKey.reviewDeadline) filterProposals()
+}
+
+/** Sets the text of a `.review-countdown` element to how soon its review starts or ends. */
+function _updateReviewCountdown (countdown) {
+  var text = '(' + _reviewCountdownText(countdown.getAttribute('data-start'), countdown.getAttribute('data-end')) + ')'
+  if (countdown.textContent !== text) countdown.textContent = text
+}
 
+/** Formats a review period in `locale`, like 'March 3 – 14' or 'March 28 – April 8' in English. */
+function _reviewPeriodText (status) {
   var start = new Date(status.start)
   var end = new Date(status.end)
 
-  var startMonth = start.getUTCMonth()
-  var endMonth = end.getUTCMonth()
+  // Review dates are calendar days, so they are formatted in UTC to avoid shifting them a day.
+  var format = new Intl.DateTimeFormat(locale, { month: 'long', day: 'numeric', timeZone: 'UTC' })
+  if (format.formatRange) return format.formatRange(start, end)
+  return format.format(start) + ' – ' + format.format(end)
+}
 
-  var detailNodes = [months[startMonth], ' ']
+/** Shows or hides the timeline of review periods above the proposal list. */
+function toggleReviewCalendar() {
+  var button = document.querySelector('#review-calendar-button')
+  var isShown = !isReviewCalendarShown()
 
-  if (startMonth === endMonth) {
-    detailNodes.push(
-      start.getUTCDate().toString(),
-      '–',
-      end.getUTCDate().toString()
-    )
-  } else {
-    detailNodes.push(
-      start.getUTCDate().toString(),
-      ' – ',
-      months[endMonth],
-      ' ',
-      end.getUTCDate().toString()
+  document.querySelector('#review-calendar').classList.toggle('hidden', !isShown)
+  button.setAttribute('aria-pressed', isShown ? 'true' : 'false')
+  button.classList.toggle('active', isShown)
+
+  if (isShown) renderReviewCalendar()
+}
+
+function isReviewCalendarShown() {
+  return !document.querySelector('#review-calendar').classList.contains('hidden')
+}
+
+/**
+ * The shown proposals that have a review period, ordered by review start date.
+ *
+ * @returns {Proposal[]}
+ */
+function _shownReviews() {
+  return shownProposals.filter(function (proposal) {
+    return _isReviewDate(proposal.status.start) && _isReviewDate(proposal.status.end)
+  }).sort(function (p1, p2) {
+    return _compareStrings(p1.status.start, p2.status.start) || _compareStrings(p1.status.end, p2.status.end)
+  })
+}
+
+/**
+ * Draws the review periods of the shown proposals as bars on a shared time axis,
+ * distinguishing past, current and upcoming reviews, with a marker for today.
+ */
+function renderReviewCalendar() {
+  var timeline = document.querySelector('#review-timeline')
+  var reviews = _shownReviews()
+  var dayLength = 24 * 60 * 60 * 1000
+
+  timeline.innerHTML = ''
+  document.querySelector('#review-calendar-download').disabled = reviews.length === 0
+
+  if (!reviews.length) {
+    timeline.appendChild(html('p', { className: 'review-timeline-empty' }, t('calendar.empty')))
+    return
+  }
+
+  // Review dates are whole days. The end date is inclusive, hence the extra day.
+  var now = new Date()
+  var today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())
+  var firstDay = Date.parse(reviews[0].status.start)
+  var lastDay = Math.max.apply(null, reviews.map(function (proposal) { return Date.parse(proposal.status.end) })) + dayLength
+  var span = lastDay - firstDay
+
+  var offset = function (time) { return ((time - firstDay) / span * 100) + '%' }
+
+  var axis = html('div', { className: 'review-timeline-axis' })
+  var month = new Date(firstDay)
+  month = Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + 1, 1)
+  for (; month < lastDay; month = Date.UTC(new Date(month).getUTCFullYear(), new Date(month).getUTCMonth() + 1, 1)) {
+    var label = new Date(month).toLocaleString(locale, { month: 'short', year: 'numeric', timeZone: 'UTC' })
+    axis.appendChild(html('span', { className: 'review-timeline-month', style: 'left: ' + offset(month) }, label))
+  }
+  timeline.appendChild(axis)
+
+  reviews.forEach(function (proposal) {
+    var start = Date.parse(proposal.status.start)
+    var end = Date.parse(proposal.status.end) + dayLength
+    var phase = end <= today ? 'past' : (start > today ? 'upcoming' : 'current')
+    var period = _reviewPeriodText(proposal.status)
+
+    timeline.appendChild(html('div', { className: 'review-timeline-row ' + phase }, [
+      html('a', { className: 'review-timeline-label', href: '#' + proposal.id, title: proposal.title.trim() }, [
+        html('span', { className: 'proposal-id' }, proposal.id),
+        proposal.title.trim()
+      ]),
+      html('div', { className: 'review-timeline-track' }, [
+        html('span', {
+          className: 'review-timeline-bar color-' + states[proposal.status.state].className,
+          style: 'left: ' + offset(start) + '; width: ' + ((end - start) / span * 100) + '%',
+          title: period
+        }, period)
+      ])
+    ]))
+  })
+
+  if (today >= firstDay && today < lastDay) {
+    axis.appendChild(html('div', { className: 'review-timeline-today', style: 'left: ' + offset(today), title: t('calendar.today') }))
+  }
+}
+
+/**
+ * Downloads the review periods of the shown proposals as an iCalendar (.ics) file,
+ * with one all-day event per review that links back to the proposal.
+ */
+function downloadReviewCalendar() {
+  var reviews = _shownReviews()
+  if (!reviews.length) return
+
+  var formatDate = function (date) { return date.toISOString().substring(0, 10).replace(/-/g, '') }
+  var timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '')
+
+  var lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Swift.org//Swift Evolution Dashboard//EN',
+    'CALSCALE:GREGORIAN',
+    'X-WR-CALNAME:' + _escapeICSText(t('calendar.name'))
+  ]
+
+  reviews.forEach(function (proposal) {
+    var start = new Date(proposal.status.start)
+    var end = new Date(Date.parse(proposal.status.end) + 24 * 60 * 60 * 1000) // DTEND is exclusive
+    var proposalURL = REPO_PROPOSALS_BASE_URL + '/' + proposal.link
+    var managers = proposal.reviewManagers.map(function (person) { return person.name })
+
+    lines.push(
+      'BEGIN:VEVENT',
+      'UID:' + proposal.id + '-review-' + formatDate(start) + '@swift.org',
+      'DTSTAMP:' + timestamp,
+      'DTSTART;VALUE=DATE:' + formatDate(start),
+      'DTEND;VALUE=DATE:' + formatDate(end),
+      'SUMMARY:' + _escapeICSText(t('calendar.summary', { id: proposal.id, title: proposal.title.trim() })),
+      'DESCRIPTION:' + _escapeICSText(
+        states[proposal.status.state].name + '\n' +
+        (managers.length ? t('detail.reviewManagers', { count: managers.length }) + managers.join(', ') + '\n' : '') +
+        proposalURL
+      ),
+      'URL:' + proposalURL,
+      'END:VEVENT'
     )
+  })
+
+  lines.push('END:VCALENDAR')
+
+  var contents = lines.map(_foldICSLine).join('\r\n') + '\r\n'
+  _downloadFile('swift-evolution-reviews.ics', 'text/calendar', contents)
+}
+
+/** Escapes text values in iCalendar content lines (RFC 5545, section 3.3.11). */
+function _escapeICSText(text) {
+  return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n')
+}
+
+/**
+ * Splits iCalendar content lines longer than 75 octets of UTF-8 (RFC 5545, section 3.1).
+ * Lines are only broken between code points, so that multi-byte characters stay intact.
+ */
+function _foldICSLine(line) {
+  var folded = ''
+  var lineLength = 0
+
+  Array.from(line).forEach(function (character) {
+    var codePoint = character.codePointAt(0)
+    var length = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4
+
+    // Continuation lines start with a space, which counts towards their 75 octets.
+    if (lineLength + length > 75) {
+      folded += '\r\n '
+      lineLength = 1
+    }
+    folded += character
+    lineLength += length
+  })
+  return folded
+}
+
+/** Shows or hides the statistics about the shown proposals above the proposal list. */
+function toggleStatistics() {
+  var button = document.querySelector('#statistics-button')
+  var isShown = !isStatisticsShown()
+
+  document.querySelector('#proposal-statistics').classList.toggle('hidden', !isShown)
+  button.setAttribute('aria-pressed', isShown ? 'true' : 'false')
+  button.classList.toggle('active', isShown)
+
+  if (isShown) renderStatistics()
+}
+
+function isStatisticsShown() {
+  return !document.querySelector('#proposal-statistics').classList.contains('hidden')
+}
+
+/** Shows or hides the reference table of upcoming feature flags. */
+function toggleFeatureFlagTable() {
+  var button = document.querySelector('#feature-flags-button')
+  var table = document.querySelector('#feature-flag-table')
+  var isShown = table.classList.contains('hidden')
+
+  table.classList.toggle('hidden', !isShown)
+  button.setAttribute('aria-pressed', isShown ? 'true' : 'false')
+  button.classList.toggle('active', isShown)
+
+  if (isShown && !table.hasChildNodes()) renderFeatureFlagTable()
+}
+
+/**
+ * Lists every proposal with an upcoming feature flag, independent of the current filters,
+ * together with the compiler and SwiftPM settings that enable the flag. Flags can be
+ * selected to copy the settings for several of them at once.
+ */
+function renderFeatureFlagTable() {
+  var container = document.querySelector('#feature-flag-table')
+  var flagProposals = proposals.filter(function (proposal) { return proposal.upcomingFeatureFlag })
+
+  if (!flagProposals.length) {
+    container.appendChild(html('p', null, t('flags.empty')))
+    return
+  }
+
+  var selectAll = html('input', { type: 'checkbox', 'aria-label': t('flags.selectAll') })
+  var rows = flagProposals.map(function (proposal) {
+    var flag = proposal.upcomingFeatureFlag
+    var version = proposal.status.version || states[proposal.status.state].name
+
+    return html('tr', null, [
+      html('td', null, html('input', { type: 'checkbox', className: 'feature-flag-selection', value: flag.flag, 'aria-label': t('flags.select', { flag: flag.flag }) })),
+      html('td', null, html('code', null, flag.flag)),
+      html('td', null, [
+        html('a', { href: '#' + proposal.id }, proposal.id),
+        ' ' + proposal.title.trim()
+      ]),
+      html('td', null, version),
+      html('td', null, flag.available || '—'),
+      html('td', null, flag.enabledInLanguageMode ? t('detail.swiftVersion', { version: flag.enabledInLanguageMode }) : '—'),
+      html('td', { className: 'feature-flag-copy' }, [
+        _copyButton(t('flags.compiler'), function () { return _compilerFlagSetting([flag.flag]) }, t('flags.compilerLabel', { flag: flag.flag })),
+        _copyButton(t('flags.swiftPM'), function () { return _swiftPMFlagSetting([flag.flag]) }, t('flags.swiftPMLabel', { flag: flag.flag }))
+      ])
+    ])
+  })
+
+  var snippet = html('pre', { className: 'feature-flag-snippet' })
+  var selectedFlags = function () {
+    return Array.from(container.querySelectorAll('.feature-flag-selection:checked')).map(function (checkbox) {
+      return checkbox.value
+    })
+  }
+  var combinedCopyButtons = [
+    _copyButton(t('flags.copyCompilerFlags'), function () { return _compilerFlagSetting(selectedFlags()) }),
+    _copyButton(t('flags.copySwiftPMSettings'), function () { return _swiftPMFlagSetting(selectedFlags()) })
+  ]
+
+  var updateSnippet = function () {
+    var flags = selectedFlags()
+    selectAll.checked = flags.length === flagProposals.length
+    selectAll.indeterminate = flags.length > 0 && flags.length < flagProposals.length
+    snippet.textContent = flags.length
+      ? _compilerFlagSetting(flags) + '\n\n' + _swiftPMFlagSetting(flags)
+      : t('flags.selectionHint')
+    combinedCopyButtons.forEach(function (button) { button.disabled = !flags.length })
+  }
+
+  selectAll.addEventListener('change', function () {
+    container.querySelectorAll('.feature-flag-selection').forEach(function (checkbox) {
+      checkbox.checked = selectAll.checked
+    })
+    updateSnippet()
+  })
+
+  var table = html('table', null, [
+    html('caption', null, t('flags.caption', { count: flagProposals.length })),
+    html('thead', null, html('tr', null, [
+      html('th', { scope: 'col' }, selectAll),
+      html('th', { scope: 'col' }, t('flags.flag')),
+      html('th', { scope: 'col' }, t('flags.proposal')),
+      html('th', { scope: 'col' }, t('flags.implemented')),
+      html('th', { scope: 'col' }, t('flags.availableSince')),
+      html('th', { scope: 'col' }, t('flags.languageMode')),
+      html('th', { scope: 'col' }, t('flags.copy'))
+    ])),
+    html('tbody', null, rows)
+  ])
+  table.addEventListener('change', function (event) {
+    if (event.target.classList.contains('feature-flag-selection')) updateSnippet()
+  })
+
+  container.appendChild(html('div', { className: 'feature-flag-table-container' }, table))
+  container.appendChild(html('div', { className: 'feature-flag-combined' }, [snippet].concat(combinedCopyButtons)))
+  updateSnippet()
+}
+
+/** Compiler arguments that enable upcoming features, e.g. `-enable-upcoming-feature StrictConcurrency`. */
+function _compilerFlagSetting(flags) {
+  return flags.map(function (flag) { return '-enable-upcoming-feature ' + flag }).join(' ')
+}
+
+/** SwiftPM target settings that enable upcoming features, e.g. `.enableUpcomingFeature("StrictConcurrency")`. */
+function _swiftPMFlagSetting(flags) {
+  if (flags.length === 1) return '.enableUpcomingFeature("' + flags[0] + '")'
+
+  return 'swiftSettings: [\n' + flags.map(function (flag) {
+    return '  .enableUpcomingFeature("' + flag + '")'
+  }).join(',\n') + '\n]'
+}
+
+/**
+ * Creates a button that copies text to the clipboard and briefly confirms that it did.
+ *
+ * @param {string} title - The button's text.
+ * @param {function(): string} textProvider - Returns the text to copy when the button is clicked.
+ * @param {string} [label] - An accessible label, when the title alone is ambiguous.
+ */
+function _copyButton(title, textProvider, label) {
+  var button = html('button', { type: 'button', className: 'list-option-button copy-button' }, title)
+  if (label) button.setAttribute('aria-label', label)
+
+  button.addEventListener('click', function () {
+    var showResult = function (result) {
+      button.textContent = result
+      setTimeout(function () { button.textContent = title }, 1500)
+    }
+
+    if (!navigator.clipboard) return showResult(t('copy.unavailable'))
+    navigator.clipboard.writeText(textProvider()).then(function () {
+      showResult(t('copy.done'))
+    }, function () {
+      showResult(t('copy.failed'))
+    })
+  })
+
+  return button
+}
+
+/**
+ * Charts the proposals that pass the current filters: implementations per Swift version,
+ * the status distribution, the most frequent authors and review managers, and review durations.
+ */
+function renderStatistics() {
+  var container = document.querySelector('#proposal-statistics')
+  container.innerHTML = ''
+
+  if (!shownProposals.length) {
+    container.appendChild(html('p', null, t('statistics.empty')))
+    return
+  }
+
+  var countBy = function (keysForProposal) {
+    var counts = {}
+    shownProposals.forEach(function (proposal) {
+      keysForProposal(proposal).forEach(function (key) { counts[key] = (counts[key] || 0) + 1 })
+    })
+    return counts
+  }
+  var topRows = function (counts, limit) {
+    return Object.keys(counts).sort(function (k1, k2) {
+      return counts[k2] - counts[k1] || k1.localeCompare(k2)
+    }).slice(0, limit).map(function (key) { return { label: key, value: counts[key] } })
+  }
+
+  var versionCounts = countBy(function (proposal) {
+    return proposal.status.state === State.implemented ? [proposal.status.version] : []
+  })
+  var versionRows = Object.keys(versionCounts).sort(function (v1, v2) {
+    return _compareVersions(v2, v1)
+  }).map(function (version) {
+    return { label: t('detail.swiftVersion', { version: version }), value: versionCounts[version] }
+  })
+
+  var stateCounts = countBy(function (proposal) { return [proposal.status.state] })
+  var stateRows = proposalPresentationOrder.filter(function (state) {
+    return stateCounts[state]
+  }).map(function (state) {
+    return { label: states[state].name, value: stateCounts[state], className: 'color-' + states[state].className }
+  })
+
+  var authorRows = topRows(countBy(function (proposal) {
+    return proposal.authors.map(function (person) { return person.name })
+  }), 10)
+  var managerRows = topRows(countBy(function (proposal) {
+    return proposal.reviewManagers.map(function (person) { return person.name })
+  }), 10)
+
+  var charts = [
+    [t('statistics.versions'), versionRows],
+    [t('statistics.status'), stateRows],
+    [t('statistics.authors'), authorRows],
+    [t('statistics.reviewManagers'), managerRows]
+  ]
+
+  charts.forEach(function (chart) {
+    if (!chart[1].length) return
+    container.appendChild(html('figure', { className: 'statistics-chart' }, [
+      html('figcaption', null, chart[0]),
+      _barChart(chart[0], chart[1])
+    ]))
+  })
+
+  var reviewChart = _reviewDurationChart()
+  if (reviewChart) container.appendChild(reviewChart)
+}
+
+/**
+ * Summarizes how long the reviews of the shown proposals last, from `status.start`
+ * to `status.end` inclusive, as a histogram by week.
+ *
+ * @returns {?Element} A figure, or null when none of the shown proposals have review dates.
+ */
+function _reviewDurationChart() {
+  var dayLength = 24 * 60 * 60 * 1000
+  var durations = shownProposals.filter(function (proposal) {
+    return _isReviewDate(proposal.status.start) && _isReviewDate(proposal.status.end)
+  }).map(function (proposal) {
+    return Math.round((Date.parse(proposal.status.end) - Date.parse(proposal.status.start)) / dayLength) + 1
+  }).sort(function (d1, d2) { return d1 - d2 })
+
+  if (!durations.length) return null
+
+  var buckets = [[1, 7], [8, 14], [15, 21], [22, 28], [29, Infinity]]
+  var rows = buckets.map(function (bucket) {
+    return {
+      label: bucket[1] === Infinity
+        ? t('statistics.overDays', { days: bucket[0] - 1 })
+        : t('statistics.days', { from: bucket[0], to: bucket[1] }),
+      value: durations.filter(function (days) { return days >= bucket[0] && days <= bucket[1] }).length
+    }
+  })
+
+  var middle = Math.floor(durations.length / 2)
+  var median = durations.length % 2 ? durations[middle] : (durations[middle - 1] + durations[middle]) / 2
+  var average = durations.reduce(function (sum, days) { return sum + days }, 0) / durations.length
+  var summary = t('statistics.durationSummary', {
+    count: durations.length,
+    median: median,
+    average: average.toLocaleString(locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+    shortest: durations[0],
+    longest: durations[durations.length - 1]
+  })
+
+  return html('figure', { className: 'statistics-chart' }, [
+    html('figcaption', null, t('statistics.reviewDuration')),
+    _barChart(t('statistics.reviewDuration'), rows),
+    html('p', { className: 'statistics-summary' }, summary)
+  ])
+}
+
+/**
+ * Draws a horizontal bar chart as SVG. Sizes are relative, so the chart fills its container.
+ *
+ * @param {string} title - Describes the chart to assistive technologies.
+ * @param {{label: string, value: number, className: ?string}[]} rows - One bar per row, from top to bottom.
+ *   `className` is applied to the bar; `color-*` status classes color it.
+ * @returns {Element} The `svg` element.
+ */
+function _barChart(title, rows) {
+  var rowHeight = 22
+  var maximum = Math.max.apply(null, rows.map(function (row) { return row.value })) || 1
+  var labelWidth = 40 // percent
+  var barSpace = 100 - labelWidth - 8 // leave room for the value after the longest bar
+
+  var bars = rows.map(function (row, index) {
+    var y = index * rowHeight
+    var width = row.value / maximum * barSpace
+
+    return svg('g', { className: ('statistics-bar ' + (row.className || '')).trim() }, [
+      svg('title', null, row.label + ': ' + row.value),
+      svg('text', { x: (labelWidth - 1) + '%', y: y + 15, 'text-anchor': 'end', className: 'statistics-label' }, row.label),
+      svg('rect', { x: labelWidth + '%', y: y + 3, width: width + '%', height: rowHeight - 6, rx: 2 }),
+      svg('text', { x: (labelWidth + width + 1) + '%', y: y + 15, className: 'statistics-value' }, String(row.value))
+    ])
+  })
+
+  return svg('svg', {
+    width: '100%',
+    height: rows.length * rowHeight,
+    role: 'img',
+    'aria-label': title + ': ' + rows.map(function (row) { return row.label + ' ' + row.value }).join(', ')
+  }, bars)
+}
+
+/** Formats in which the shown proposals can be exported. See `exportShownProposals`. */
+const ExportFormat = Object.freeze({
+  csv: 'csv',
+  json: 'json',
+  markdown: 'markdown'
+})
+
+/**
+ * Downloads the proposals that pass the current filters, in list order.
+ *
+ * CSV and Markdown list the ID, title, authors, status, version and upcoming feature flag,
+ * under column headers in the dashboard's language.
+ * JSON contains the complete entries, in the same shape as the proposals in `evolution.json`.
+ *
+ * @param {string} format - One of the `ExportFormat` values.
+ */
+function exportShownProposals(format) {
+  var columns = [
+    ['export.id', function (proposal) { return proposal.id }],
+    ['export.title', function (proposal) { return proposal.title.trim() }],
+    ['export.authors', function (proposal) {
+      return proposal.authors.map(function (person) { return person.name }).join(', ')
+    }],
+    ['export.status', function (proposal) { return states[proposal.status.state].name }],
+    ['export.version', function (proposal) { return proposal.status.version || '' }],
+    ['export.upcomingFeatureFlag', function (proposal) {
+      return proposal.upcomingFeatureFlag ? proposal.upcomingFeatureFlag.flag : ''
+    }]
+  ]
+
+  var rows = shownProposals.map(function (proposal) {
+    return columns.map(function (column) { return column[1](proposal) })
+  })
+  var headers = columns.map(function (column) { return t(column[0]) })
+
+  switch (format) {
+    case ExportFormat.csv:
+      var csvField = function (value) {
+        return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value
+      }
+      var csv = [headers].concat(rows).map(function (row) { return row.map(csvField).join(',') }).join('\r\n')
+      _downloadFile('swift-evolution-proposals.csv', 'text/csv', csv + '\r\n')
+      break
+    case ExportFormat.json:
+      _downloadFile('swift-evolution-proposals.json', 'application/json', proposalsJSON(shownProposals) + '\n')
+      break
+    case ExportFormat.markdown:
+      var markdownCell = function (value) { return value.replace(/\|/g, '\\|') }
+      var markdown = [
+        '| ' + headers.join(' | ') + ' |',
+        '|' + headers.map(function () { return ' --- |' }).join('')
+      ].concat(shownProposals.map(function (proposal, index) {
+        var cells = rows[index].map(markdownCell)
+        cells[0] = '[' + proposal.id + '](' + REPO_PROPOSALS_BASE_URL + '/' + proposal.link + ')'
+        return '| ' + cells.join(' | ') + ' |'
+      }))
+      _downloadFile('swift-evolution-proposals.md', 'text/markdown', markdown.join('\n') + '\n')
+      break
   }
+}
 
-  return html('div', { className: 'proposal-detail' }, [
-    html('div', { className: 'proposal-detail-label' }, [
-      'Scheduled: '
-    ]),
-    html('div', { className: 'proposal-detail-value' }, detailNodes)
-  ])
+/** Saves generated text as a file through a temporary download link. */
+function _downloadFile(filename, type, contents) {
+  var url = URL.createObjectURL(new Blob([contents], { type: type + ';charset=utf-8' }))
+  var link = html('a', { href: url, download: filename })
+
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  setTimeout(function () { URL.revokeObjectURL(url) }, 0)
 }
 
 /** Utility used by some of the `render*` functions to add comma text nodes between DOM nodes. */
@@ -556,14 +2154,87 @@ function addEventListeners() {
   var searchInput = document.querySelector('#search-filter')
 
   // Typing in the search field causes the filter to be reapplied.
-  searchInput.addEventListener('input', filterProposals)
+  // Keystrokes in quick succession update a single history entry.
+  searchInput.addEventListener('input', function () {
+    replacesHistoryEntry = Date.now() - lastSearchInputTime < SEARCH_HISTORY_DELAY
+    lastSearchInputTime = Date.now()
+    try {
+      filterProposals()
+    } finally {
+      replacesHistoryEntry = false
+    }
+  })
+
+  // Back, Forward and edits to the fragment restore the filters it describes.
+  window.addEventListener('popstate', handleHistoryNavigation)
+  window.addEventListener('hashchange', handleHistoryNavigation)
+
+  // Star toggles are handled for the whole list, since proposal elements are moved around.
+  document.querySelector('.proposals-list').addEventListener('click', function (event) {
+    var toggle = event.target.closest('.watch-toggle')
+    if (toggle) toggleWatched(toggle.getAttribute('data-proposal-id'))
+  })
+  document.querySelector('.proposals-list').addEventListener('change', function (event) {
+    if (event.target.classList.contains('compare-checkbox')) toggleCompared(event.target.getAttribute('data-proposal-id'))
+  })
+
+  document.querySelector('#compare-tray').addEventListener('click', function (event) {
+    var removeButton = event.target.closest('.compare-remove')
+    if (removeButton) toggleCompared(removeButton.getAttribute('data-proposal-id'))
+  })
+  document.querySelector('#compare-tray-toggle').addEventListener('click', toggleCompareTable)
+  document.querySelector('#compare-clear').addEventListener('click', clearComparison)
+
+  document.querySelector('#review-calendar-button').addEventListener('click', toggleReviewCalendar)
+  document.querySelector('#review-calendar-download').addEventListener('click', downloadReviewCalendar)
+  document.querySelector('#statistics-button').addEventListener('click', toggleStatistics)
+  document.querySelector('#feature-flags-button').addEventListener('click', toggleFeatureFlagTable)
+
+  document.querySelector('#export-proposals').addEventListener('change', function (event) {
+    exportShownProposals(event.target.value)
+    event.target.value = ''
+  })
+
+  document.querySelector('#sort-proposals').addEventListener('change', filterProposals)
+  document.querySelector('#locale-select').addEventListener('change', changeLocale)
 
-  // Each of the individual statuses needs to trigger filtering as well
-  ;[].forEach.call(document.querySelectorAll('.filter-list input'), function (element) {
-    element.addEventListener('change', filterProposals)
+  // Notifications are requested along with the automatic refresh, while the reader is clicking.
+  document.querySelector('#auto-refresh').addEventListener('change', function (event) {
+    setAutoRefresh(event.target.checked)
+    if (event.target.checked && window.Notification && window.Notification.permission === 'default') {
+      window.Notification.requestPermission()
+    }
+  })
+  if (_readStorage(AUTO_REFRESH_STORAGE_KEY, false)) setAutoRefresh(true)
+  ;[].forEach.call(document.querySelectorAll('.version-range-select'), function (select) {
+    select.addEventListener('change', function () {
+      // Release ranges read best grouped by version, which is also the order used for upgrade notes.
+      if (selectedVersionRange() && selectedGroupMode() === GroupMode.status) {
+        document.querySelector('#group-proposals').value = GroupMode.version
+      }
+      filterProposals()
+    })
   })
+  document.querySelector('#group-proposals').addEventListener('change', filterProposals)
 
   var expandableArea = document.querySelector('.filter-options')
+
+  // Each of the individual statuses needs to trigger filtering as well. Listening on the panel
+  // covers the version options that are listed again when the proposals are refreshed.
+  expandableArea.addEventListener('change', function (event) {
+    if (event.target.closest('.filter-list')) filterProposals()
+  })
+
+  // Facet options are listed again whenever the proposals are filtered, so they're handled for the whole panel.
+  expandableArea.addEventListener('change', function (event) {
+    if (!event.target.classList.contains('facet-option')) return
+    selectFacetValue(event.target.closest('.facet').getAttribute('data-facet'), event.target.value, event.target.checked)
+  })
+  expandableArea.addEventListener('input', function (event) {
+    if (!event.target.classList.contains('facet-search')) return
+    renderFacetOptions(event.target.closest('.facet').getAttribute('data-facet'))
+  })
+
   var implementedToggle = document.querySelector('#filter-by-implemented')
   implementedToggle.addEventListener('change', function () {
     // hide or show the row of version options depending on the status of the 'Implemented' option
@@ -577,8 +2248,7 @@ function addEventListeners() {
     })
     
     // Update the 'Hide Filters' / 'Show Filters' / 'n Filters' text
-    var allCheckedStateCheckboxes = document.querySelectorAll('.filter-list input:checked')
-    updateStatusFilterToggleText(allCheckedStateCheckboxes.length)
+    updateStatusFilterToggleText(_selectedFilterCount())
   })
 
   document.querySelector('#status-filter-button').addEventListener('click', toggleStatusFiltering)
@@ -587,6 +2257,22 @@ function addEventListeners() {
   
   document.querySelector('#flag-filter-button').addEventListener('click', toggleFlagFiltering)
 
+  document.addEventListener('keydown', handleKeyboardShortcut)
+  document.querySelector('.proposals-list').addEventListener('keydown', handleFeedNavigation)
+
+  // List more proposals shortly before the end of the list scrolls into view.
+  if (window.IntersectionObserver) {
+    proposalListObserver = new window.IntersectionObserver(function (entries) {
+      if (entries.some(function (entry) { return entry.isIntersecting })) {
+        renderProposalWindow(listedItemCount + PROPOSAL_WINDOW_SIZE)
+      }
+    }, { rootMargin: '100% 0px' })
+    if (listedItemCount < listItems.length) proposalListObserver.observe(document.querySelector('#proposals-list-end'))
+  }
+
+  setInterval(updateReviewCountdowns, REVIEW_COUNTDOWN_REFRESH_INTERVAL)
+  document.querySelector('#shortcut-help-close').addEventListener('click', toggleShortcutHelp)
+
   // Behavior conditional on certain browser features
   var CSS = window.CSS
   if (CSS) {
@@ -627,6 +2313,117 @@ function addEventListeners() {
   }
 }
 
+/**
+ * Responds to the dashboard's single-key shortcuts, which are listed in `#shortcut-help`.
+ * Keys typed into form fields, and keys pressed together with a modifier, are left alone.
+ */
+function handleKeyboardShortcut(event) {
+  if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return
+
+  var target = event.target
+  if (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].indexOf(target.tagName) !== -1) {
+    // Escape leaves the search field, so that the shortcuts can be used again.
+    if (event.key === 'Escape' && target.id === 'search-filter') target.blur()
+    return
+  }
+
+  var isHelpShown = !document.querySelector('#shortcut-help').classList.contains('hidden')
+  if (isHelpShown && event.key !== '?' && event.key !== 'Escape') return
+
+  switch (event.key) {
+    case '/':
+      document.querySelector('#search-filter').focus()
+      break
+    case 'j':
+      moveKeyboardCursor(1)
+      break
+    case 'k':
+      moveKeyboardCursor(-1)
+      break
+    case 'Enter':
+      // Links and buttons already handle Enter themselves.
+      var cursorElement = keyboardCursorID && _listProposal(keyboardCursorID)
+      if (!cursorElement || target.closest('a, button, label')) return
+      cursorElement.querySelector('.proposal-title').click()
+      break
+    case 's':
+      if (!keyboardCursorID) return
+      toggleWatched(keyboardCursorID)
+      break
+    case 'c':
+      if (!keyboardCursorID) return
+      toggleCompared(keyboardCursorID)
+      break
+    case 'f':
+      // The filter panel can only be shown while status filtering is active.
+      if (document.querySelector('.filter-panel-toggle').classList.contains('hidden')) toggleStatusFiltering()
+      toggleFilterPanel()
+      break
+    case '?':
+      toggleShortcutHelp()
+      break
+    case 'Escape':
+      if (!isHelpShown) return
+      toggleShortcutHelp()
+      break
+    default:
+      return
+  }
+
+  event.preventDefault()
+}
+
+/**
+ * Moves the keyboard cursor to the next or previous shown proposal and scrolls it into view.
+ * When the selected proposal is no longer shown, the cursor starts over from the top.
+ *
+ * @param {number} offset - `1` to move down the list, `-1` to move up.
+ */
+function moveKeyboardCursor(offset) {
+  if (!shownProposals.length) return
+
+  var index = shownProposals.findIndex(function (proposal) { return proposal.id === keyboardCursorID })
+  index = index === -1 ? 0 : Math.min(Math.max(index + offset, 0), shownProposals.length - 1)
+
+  if (keyboardCursorID && proposalElements[keyboardCursorID]) {
+    proposalElements[keyboardCursorID].classList.remove('keyboard-cursor')
+  }
+
+  keyboardCursorID = shownProposals[index].id
+  var element = _listProposal(keyboardCursorID)
+  element.classList.add('keyboard-cursor')
+  // Focusing the proposal has screen readers read it out.
+  element.focus({ preventScroll: true })
+  if (element.scrollIntoView) element.scrollIntoView({ block: 'nearest' })
+}
+
+/**
+ * Moves between the proposals of the feeds with Page Down and Page Up while one of them
+ * has the focus, as in the WAI-ARIA feed pattern.
+ */
+function handleFeedNavigation(event) {
+  if (event.key !== 'PageDown' && event.key !== 'PageUp') return
+  var element = event.target.closest('.proposal')
+  if (!element) return
+
+  if (keyboardCursorID && proposalElements[keyboardCursorID]) {
+    proposalElements[keyboardCursorID].classList.remove('keyboard-cursor')
+  }
+  keyboardCursorID = element.id
+  moveKeyboardCursor(event.key === 'PageDown' ? 1 : -1)
+  event.preventDefault()
+}
+
+/** Shows or hides the list of keyboard shortcuts. */
+function toggleShortcutHelp() {
+  var overlay = document.querySelector('#shortcut-help')
+  overlay.classList.toggle('hidden')
+
+  if (!overlay.classList.contains('hidden')) {
+    document.querySelector('#shortcut-help-close').focus()
+  }
+}
+
 /**
  * Toggles whether status+version filters are active.
  * Rather than being cleared, selected filters are saved to be restored later.
@@ -647,18 +2444,26 @@ function toggleStatusFiltering() {
   if (shouldPreserveSelection) {
     filterSelection = [].map.call(selected, function (checkbox) { return checkbox.id })
     ;[].forEach.call(selected, function (checkbox) { checkbox.checked = false })
+    versionRangeSelection = selectedVersionRange()
+    _setVersionRange(null)
+    savedFacetSelections = facetSelections
+    facetSelections = {}
 
     filterButton.setAttribute('aria-pressed', 'false')
   } else { // restore it
     filterSelection.forEach(function (id) {
+      // Versions may have been removed by a refresh in the meantime.
       var checkbox = document.getElementById(id)
-      checkbox.checked = true
+      if (checkbox) checkbox.checked = true
     })
+    if (versionRangeSelection) _setVersionRange(versionRangeSelection)
+    if (savedFacetSelections) facetSelections = savedFacetSelections
 
     filterButton.setAttribute('aria-pressed', 'true')
   }
 
   document.querySelector('.expandable').classList.remove('expanded')
+  filterPanelToggle.setAttribute('aria-expanded', 'false')
   filterButton.classList.toggle('active')
 
   filterProposals()
@@ -674,16 +2479,10 @@ function toggleFilterPanel() {
   var button = document.querySelector('.filter-panel-toggle')
 
   panel.classList.toggle('expanded')
-
-  if (panel.classList.contains('expanded')) {
-    button.setAttribute('aria-pressed', 'true')
-  } else {
-    button.setAttribute('aria-pressed', 'false')
-  }
+  button.setAttribute('aria-expanded', panel.classList.contains('expanded') ? 'true' : 'false')
   
   // Update the 'Hide Filters' / 'Show Filters' / 'n Filters' text of the filter panel link
-  var allCheckedStateCheckboxes = document.querySelectorAll('.filter-list input:checked')
-  updateStatusFilterToggleText(allCheckedStateCheckboxes.length)
+  updateStatusFilterToggleText(_selectedFilterCount())
 
 }
 
@@ -704,120 +2503,79 @@ function filterProposals() {
   var filterElement = document.querySelector('#search-filter')
   var filter = filterElement.value
 
-  var matchingSets = [proposals.concat()]
+  var searchMatches = proposals.concat()
+  var searchQuery = null
+  var isRanked = false
 
   // Comma-separated lists of proposal IDs are treated as an "or" search.
-  if (filter.match(/(SE-\d\d\d\d)($|((,SE-\d\d\d\d)+))/i)) {
-    var proposalIDs = filter.split(',').map(function (id) {
-      return id.toUpperCase()
-    })
-
-    matchingSets[0] = matchingSets[0].filter(function (proposal) {
+  var proposalIDs = parseProposalIDList(filter)
+  if (proposalIDs) {
+    searchMatches = searchMatches.filter(function (proposal) {
       return proposalIDs.indexOf(proposal.id) !== -1
     })
+    updateSearchFeedback(null)
   } else if (filter.trim().length !== 0) {
-    // The search input treats words as order-independent.
-    matchingSets = filter.split(/\s/)
-      .filter(function (s) { return s.length > 0 })
-      .map(function (part) { return _searchProposals(part) })
+    var parseResult = parseSearchQuery(filter)
+    updateSearchFeedback(parseResult.error)
+
+    // While the query is invalid (often because it is still being typed),
+    // keep showing the results of the last query that did parse.
+    if (!parseResult.error) lastValidSearchQuery = parseResult.query
+    searchQuery = lastValidSearchQuery
+    isRanked = selectedSortKey() === SortKey.relevance
+
+    if (searchQuery) searchMatches = searchProposals(_searchIndex(), searchQuery, isRanked)
+  } else {
+    lastValidSearchQuery = null
+    updateSearchFeedback(null)
   }
 
-  var searchMatches = matchingSets.reduce(function (intersection, candidates) {
-    return intersection.filter(function (alreadyIncluded) { return candidates.indexOf(alreadyIncluded) !== -1 })
-  }, matchingSets[0] || [])
-  
-  var searchAndFlagMatches = _applyFlagFilter(searchMatches)
-  var fullMatches = _applyStatusFilter(searchAndFlagMatches)
-  _setProposalVisibility(fullMatches)
+  var searchAndFlagMatches = applyFlagFilter(searchMatches, upcomingFeatureFlagFilterEnabled)
+  var fullMatches = applyFacetFilter(_applyStatusFilter(searchAndFlagMatches), facetSelections)
+  updateProposalsCount(fullMatches.length)
+  highlightSearchMatches(searchQuery, isRanked)
+  shownProposals = arrangeProposals(fullMatches, isRanked)
+  renderProposalWindow(0)
+  updateVersionRangeSummary()
   _updateURIFragment()
+  if (isReviewCalendarShown()) renderReviewCalendar()
+  if (isStatisticsShown()) renderStatistics()
 
  // The per-status counts take only search string and flag filter matches into account
   determineNumberOfProposals(searchAndFlagMatches)
   updateFilterStatus()
+  updateFacetCounts(searchAndFlagMatches)
 }
 
-/**
- * Utility used by `filterProposals`.
- *
- * Picks out various fields in a proposal which users may want to key
- * off of in their text-based filtering.
- *
- * @param {string} filterText - A raw word of text as entered by the user.
- * @returns {Proposal[]} The proposals that match the entered text, taken from the global list.
- */
-function _searchProposals(filterText) {
-  var filterExpression = filterText.toLowerCase()
-
-  var searchableProperties = [
-      ['id'],
-      ['title'],
-      ['reviewManagers', 'name'],
-      ['status', 'state'],
-      ['status', 'version'],
-      ['authors', 'name'],
-      ['authors', 'link'],
-      ['implementation', 'account'],
-      ['implementation', 'repository'],
-      ['implementation', 'id'],
-      ['trackingBugs', 'link'],
-      ['trackingBugs', 'status'],
-      ['trackingBugs', 'id'],
-      ['trackingBugs', 'assignee'],
-      ['upcomingFeatureFlag', 'flag']
-  ]
-
-  // Reflect over the proposals and find ones with matching properties
-  var matchingProposals = proposals.filter(function (proposal) {
-    var match = false
-    searchableProperties.forEach(function (propertyList) {
-      var value = proposal
-
-      propertyList.forEach(function (propertyName, index) {
-        if (!value) return
-        value = value[propertyName]
-        if (index < propertyList.length - 1) {
-          // For arrays, apply the property check to each child element.
-          // Note that this only looks to a depth of one property.
-          if (Array.isArray(value)) {
-            var matchCondition = value.some(function (element) {
-              return element[propertyList[index + 1]] && element[propertyList[index + 1]].toString().toLowerCase().indexOf(filterExpression) >= 0
-            })
-
-            if (matchCondition) {
-              match = true
-            }
-          } else {
-            return
-          }
-        } else if (value && value.toString().toLowerCase().indexOf(filterExpression) >= 0) {
-          match = true
-        }
-      })
-    })
-
-    return match
-  })
-
-  return matchingProposals
+/** The search index of the current `proposals`, which is built the first time it's needed. */
+function _searchIndex() {
+  if (!searchIndex) searchIndex = createSearchIndex(proposals)
+  return searchIndex
 }
 
 /**
- * Helper for `filterProposals` that makes the upcoming feature flag filter take effect.
+ * Shows or clears the inline message under the search field that describes a syntax error.
  *
- * @param {Proposal[]} matchingProposals - The proposals that have passed the text filtering phase.
- * @returns {Proposal[]} The results of applying the upcoming feature flag filter.
+ * @param {?SyntaxError} error - The error reported by `parseSearchQuery`, or null.
  */
-function _applyFlagFilter(matchingProposals) {
-  if (upcomingFeatureFlagFilterEnabled) {
-    matchingProposals = matchingProposals.filter(function (proposal) {
-      return proposal.upcomingFeatureFlag ? true : false
-    })
+function updateSearchFeedback(error) {
+  var searchInput = document.querySelector('#search-filter')
+  var feedback = document.querySelector('#search-filter-feedback')
+
+  if (error) {
+    feedback.innerText = error.message
+    feedback.classList.remove('hidden')
+    searchInput.setAttribute('aria-invalid', 'true')
+  } else {
+    feedback.innerText = ''
+    feedback.classList.add('hidden')
+    searchInput.removeAttribute('aria-invalid')
   }
-  return matchingProposals
 }
 
 /**
- * Helper for `filterProposals` that makes the status filter take effect.
+ * Helper for `filterProposals` that makes the status filter take effect, and describes the
+ * selected options next to the proposal count and on the filter panel toggle.
  *
  * @param {Proposal[]} matchingProposals - The proposals that have passed the text and upcoming feature flag filtering phase.
  * @returns {Proposal[]} The results of applying the status filter.
@@ -825,11 +2583,10 @@ function _applyFlagFilter(matchingProposals) {
 function _applyStatusFilter(matchingProposals) {
   // Get all checked state checkboxes, both status and version as an array
   var allCheckedStateCheckboxes = Array.from(document.querySelectorAll('.filter-list input:checked'))
-  
-  // Get checkbox values for all checked state checkboxes, both status and version
-  var selectedStates = allCheckedStateCheckboxes.map(function (checkbox) { return checkbox.value })
+    .filter(function (checkbox) { return checkbox.id !== 'filter-by-watched' })
+  var isWatchedFilterSelected = document.querySelector('#filter-by-watched').checked
 
-  updateStatusFilterToggleText(selectedStates.length)
+  updateStatusFilterToggleText(_selectedFilterCount())
 
   // Get array of keys for only selected *statuses* to update the status filter subheading
   var selectedStatusNames = allCheckedStateCheckboxes.reduce(function(array, checkbox) {
@@ -840,57 +2597,399 @@ function _applyStatusFilter(matchingProposals) {
 
   updateStatusFilterSubheading(selectedStatusNames)
 
-  // Use all selected states, status and version to filter out proposals based on the grouping checkboxes
-  if (selectedStates.length) {
-    matchingProposals = matchingProposals
-      .filter(function (proposal) {
-        return selectedStates.some(function (state) {
-          return proposal.status.state.toLowerCase().indexOf(state.split('-')[0]) >= 0
-        })
+  return applyStatusFilter(matchingProposals, {
+    states: allCheckedStateCheckboxes.map(function (checkbox) { return checkbox.value }),
+    watchedProposalIDs: isWatchedFilterSelected ? watchedProposalIDs : null,
+    versionRange: selectedVersionRange()
+  })
+}
+
+/**
+ * The release range chosen in the filter panel, if both ends are selected.
+ * A range selected in reverse is returned in ascending order.
+ *
+ * @returns {?{from: string, to: string}}
+ */
+function selectedVersionRange() {
+  var from = document.querySelector('#version-range-from').value
+  var to = document.querySelector('#version-range-to').value
+  if (!from || !to) return null
+
+  return _compareVersions(from, to) <= 0 ? { from: from, to: to } : { from: to, to: from }
+}
+
+/** Selects a release range in the filter panel, or clears it when `range` is null. */
+function _setVersionRange(range) {
+  document.querySelector('#version-range-from').value = range ? range.from : ''
+  document.querySelector('#version-range-to').value = range ? range.to : ''
+}
+
+/** The number of selected filter panel options, shown on the filter panel toggle. */
+function _selectedFilterCount() {
+  var facetSelectionCount = Object.keys(facetSelections).reduce(function (count, facet) {
+    return count + facetSelections[facet].length
+  }, 0)
+  return document.querySelectorAll('.filter-list input:checked').length + (selectedVersionRange() ? 1 : 0) + facetSelectionCount
+}
+
+/** Summarizes how many of the shown proposals were implemented in each release of the selected range. */
+function updateVersionRangeSummary() {
+  var description = document.querySelector('#version-range-description')
+  var versionRange = selectedVersionRange()
+  if (!versionRange) {
+    description.innerText = ''
+    return
+  }
+
+  var countsByVersion = {}
+  shownProposals.forEach(function (proposal) {
+    countsByVersion[proposal.status.version] = (countsByVersion[proposal.status.version] || 0) + 1
+  })
+  var breakdown = Object.keys(countsByVersion).sort(_compareVersions).map(function (version) {
+    return version + ': ' + countsByVersion[version]
+  })
+
+  var rangeText = versionRange.from !== versionRange.to
+    ? t('count.versionRange', { count: shownProposals.length, from: versionRange.from, to: versionRange.to })
+    : t('count.version', { count: shownProposals.length, version: versionRange.from })
+  description.innerText = rangeText + (breakdown.length ? ' (' + breakdown.join(', ') + ')' : '')
+}
+
+/**
+ * Counts the proposals with each facet value and lists the options of every facet again.
+ *
+ * @param {Proposal[]} countedProposals - The proposals that match the search and flag filter.
+ */
+function updateFacetCounts(countedProposals) {
+  facetCounts = {}
+  _objectValues(Facet).forEach(function (facet) {
+    var counts = facetCounts[facet] = {}
+    countedProposals.forEach(function (proposal) {
+      proposalFacets[facet].values(proposal).forEach(function (value) {
+        counts[value] = (counts[value] || 0) + 1
       })
+    })
+    renderFacetOptions(facet)
+  })
+}
 
-    // Handle version-specific filtering options
-    if (selectedStates.some(function (state) { return state.match(/swift/i) })) {
-      matchingProposals = matchingProposals
-        .filter(function (proposal) {
-          return selectedStates.some(function (state) {
-            if (!(proposal.status.state === State.implemented)) return true // only filter among Implemented (N.N.N)
-            if (state === 'swift-swift-Next' && proposal.status.version === 'Next') return true // special case
+/**
+ * Lists the options of a facet that match the text in its search field: the selected
+ * values first, then the others by their number of proposals, up to `FACET_OPTION_LIMIT`.
+ *
+ * @param {string} facet - One of the `Facet` values.
+ */
+function renderFacetOptions(facet) {
+  var container = document.querySelector('#facet-' + facet)
+  var searchText = container.querySelector('.facet-search').value.trim().toLowerCase()
+  var counts = facetCounts[facet] || {}
+  var selectedValues = facetSelections[facet] || []
+
+  var values = Object.keys(counts).filter(function (value) {
+    return selectedValues.indexOf(value) === -1 && value.toLowerCase().indexOf(searchText) !== -1
+  }).sort(function (v1, v2) {
+    return (counts[v2] - counts[v1]) || v1.localeCompare(v2)
+  })
+  var listedValues = selectedValues.concat(values.slice(0, FACET_OPTION_LIMIT))
+
+  var list = container.querySelector('.facet-options')
+  var focusedValue = list.contains(document.activeElement) ? document.activeElement.value : null
+  list.innerHTML = ''
+  listedValues.forEach(function (value, index) {
+    var id = 'facet-' + facet + '-option-' + index
+    var checkbox = html('input', { type: 'checkbox', id: id, className: 'facet-option', value: value })
+    checkbox.checked = selectedValues.indexOf(value) !== -1
+    list.appendChild(html('li', null, [
+      checkbox,
+      html('label', { 'for': id }, addNumberToState(value, counts[value] || 0))
+    ]))
+    if (value === focusedValue) checkbox.focus()
+  })
 
-            var version = state.split(/\D+/).filter(function (s) { return s.length }).join('.')
+  var hiddenCount = values.length - Math.min(values.length, FACET_OPTION_LIMIT)
+  container.querySelector('.facet-more').innerText = hiddenCount ? t('filters.facetMore', { count: hiddenCount }) : ''
+}
 
-            if (!version.length) return false // it's not a state that represents a version number
-            if (proposal.status.version === version) return true
-            return false
-          })
-        })
+/**
+ * Selects or deselects a facet value and applies the change.
+ *
+ * @param {string} facet - One of the `Facet` values.
+ * @param {string} value - A value of that facet, e.g. a review manager's name.
+ * @param {boolean} isSelected - Whether the value is to be selected.
+ */
+function selectFacetValue(facet, value, isSelected) {
+  var selectedValues = (facetSelections[facet] || []).filter(function (selectedValue) {
+    return selectedValue !== value
+  })
+  if (isSelected) selectedValues.push(value)
+  facetSelections[facet] = selectedValues
+
+  filterProposals()
+}
+
+/**
+ * Orders the proposals that passed the filters according to the selected sort key and group mode,
+ * and sets up `listItems` with them and the sections of their groups. Filtered proposals aren't listed.
+ *
+ * @param {Proposal[]} matchingProposals - The proposals to list.
+ * @param {boolean} isRanked - Whether `matchingProposals` are search results in order of relevance,
+ *   which are listed in that order and ungrouped.
+ * @returns {Proposal[]} `matchingProposals`, in list order.
+ */
+function arrangeProposals(matchingProposals, isRanked) {
+  var orderedProposals = []
+  listItems = []
+
+  if (isRanked) {
+    orderedProposals = matchingProposals
+    listItems = matchingProposals.concat()
+  } else {
+    var sortKey = selectedSortKey()
+    var groupMode = selectedGroupMode()
+    var grouping = proposalGroupings[groupMode]
+    var compareNumbers = proposalComparators[SortKey.number]
+    var compareSortKeys = proposalComparators[sortKey] || compareNumbers
+    var comparator = function (p1, p2) { return compareSortKeys(p1, p2) || compareNumbers(p1, p2) }
+
+    var groups = {}
+    matchingProposals.forEach(function (proposal) {
+      var key = grouping.key(proposal)
+      ;(groups[key] = groups[key] || []).push(proposal)
+    })
+
+    Object.keys(groups).sort(grouping.compare).forEach(function (key) {
+      var members = groups[key].sort(comparator)
+      var label = grouping.label(key)
+      orderedProposals = orderedProposals.concat(members)
+
+      if (label !== null) listItems.push(_groupElement(groupMode + ':' + key, label))
+      listItems = listItems.concat(members)
+    })
+  }
+
+  return orderedProposals
+}
+
+/**
+ * Puts the first items of `listItems` in the page, creating the elements of proposals listed
+ * for the first time. The rest follow as the end of the list is scrolled into view, so that
+ * first paint and filtering only pay for the proposals near the top of the list.
+ *
+ * @param {number} itemCount - How many items to list. At least `PROPOSAL_WINDOW_SIZE` are listed.
+ */
+function renderProposalWindow(itemCount) {
+  var list = document.querySelector('.proposals-list')
+
+  // Without a way to tell when the end of the list comes into view, everything is listed.
+  listedItemCount = window.IntersectionObserver
+    ? Math.min(listItems.length, Math.max(itemCount, PROPOSAL_WINDOW_SIZE))
+    : listItems.length
+
+  // Proposals go in the feed of their group, or in a single feed when they aren't grouped.
+  var isGrouped = listItems.length > 0 && Boolean(listItems[0].nodeType)
+  if (!ungroupedFeed) {
+    ungroupedFeed = html('div', { className: 'proposal-feed', role: 'feed', 'aria-labelledby': 'proposals-heading' })
+  }
+
+  var sections = isGrouped ? [] : [ungroupedFeed]
+  var feeds = isGrouped ? [] : [{ element: ungroupedFeed, children: [], size: 0 }]
+  listItems.forEach(function (item, index) {
+    if (item.nodeType) {
+      if (index < listedItemCount) sections.push(item)
+      feeds.push({ element: item.querySelector('.proposal-feed'), children: [], size: 0 })
+      return
     }
+
+    var feed = feeds[feeds.length - 1]
+    feed.size++
+    if (index < listedItemCount) feed.children.push(_proposalElement(item))
+  })
+
+  _replaceChildren(list, sections)
+  feeds.forEach(function (feed) {
+    _replaceChildren(feed.element, feed.children)
+
+    // Tell assistive technologies where each proposal is in its feed, and how long the feed is.
+    feed.children.forEach(function (element, index) {
+      element.setAttribute('aria-posinset', index + 1)
+      element.setAttribute('aria-setsize', feed.size)
+      _setHeadingLevel(element.querySelector('.proposal-heading'), isGrouped ? 4 : 3)
+      _highlightProposalElement(element)
+    })
+  })
+
+  // Observing the end of the list again reports whether it's still in view after this update.
+  if (proposalListObserver) {
+    var listEnd = document.querySelector('#proposals-list-end')
+    proposalListObserver.unobserve(listEnd)
+    if (listedItemCount < listItems.length) proposalListObserver.observe(listEnd)
   }
-  return matchingProposals
 }
 
 /**
- * Helper for `filterProposals` that sets the visibility of proposals to display only matching items.
+ * The section of the list for a group of proposals, which is created the first time it's needed.
  *
- * @param {Proposal[]} matchingProposals - The proposals that have passed all filtering tests.
- * @returns {Void} Toggles `display: hidden` to apply the filter.
+ * @param {string} groupID - Identifies the group among those of every group mode.
+ * @param {string} label - The text of the group's heading.
+ * @returns {Element} A section with the group's heading and an empty `.proposal-feed`.
  */
-function _setProposalVisibility(matchingProposals) {
-  var filteredProposals = proposals.filter(function (proposal) {
-    return matchingProposals.indexOf(proposal) === -1
+function _groupElement(groupID, label) {
+  if (groupElements[groupID]) return groupElements[groupID]
+
+  var headingID = 'proposal-group-' + Object.keys(groupElements).length
+  return (groupElements[groupID] = html('section', { className: 'proposal-group' }, [
+    html('h3', { id: headingID, className: 'proposal-group-heading' }, label),
+    html('div', { className: 'proposal-feed', role: 'feed', 'aria-labelledby': headingID })
+  ]))
+}
+
+/**
+ * Makes the children of an element the given ones, keeping the elements that are already
+ * in place, as when more of the same list is shown.
+ */
+function _replaceChildren(parent, children) {
+  var keptCount = 0
+  while (keptCount < children.length && parent.children[keptCount] === children[keptCount]) keptCount++
+  if (keptCount === parent.children.length && keptCount === children.length) return
+
+  parent.setAttribute('aria-busy', 'true')
+  while (parent.children.length > keptCount) parent.removeChild(parent.lastElementChild)
+  children.slice(keptCount).forEach(function (element) { parent.appendChild(element) })
+  parent.setAttribute('aria-busy', 'false')
+}
+
+/**
+ * Gives the heading of a proposal the level below its group's heading, or below
+ * the list's heading when the proposals aren't grouped.
+ */
+function _setHeadingLevel(heading, level) {
+  if (heading.tagName === 'H' + level) return
+
+  var replacement = document.createElement('h' + level)
+  ;[].forEach.call(heading.attributes, function (attribute) {
+    replacement.setAttribute(attribute.name, attribute.value)
   })
+  while (heading.firstChild) replacement.appendChild(heading.firstChild)
+  heading.parentNode.replaceChild(replacement, heading)
+}
+
+/**
+ * Makes sure a shown proposal is in the page, listing more of the list if needed.
+ *
+ * @param {string} proposalID - The ID of a proposal.
+ * @returns {?Element} The proposal's element, or null if the proposal isn't shown.
+ */
+function _listProposal(proposalID) {
+  var index = listItems.findIndex(function (item) { return !item.nodeType && item.id === proposalID })
+  if (index === -1) return null
+
+  if (index >= listedItemCount) renderProposalWindow(index + PROPOSAL_WINDOW_SIZE)
+  return proposalElements[proposalID]
+}
+
+/** The `SortKey` selected in the list options. */
+function selectedSortKey() {
+  return document.querySelector('#sort-proposals').value
+}
+
+/** The `GroupMode` selected in the list options. */
+function selectedGroupMode() {
+  return document.querySelector('#group-proposals').value
+}
+
+/** The numeric nnnn in a proposal ID's SE-nnnn */
+function _proposalNumber(proposal) {
+  return parseInt(proposal.id.match(/\d\d\d\d/)[0])
+}
+
+function _compareStrings(s1, s2) {
+  return s1 < s2 ? -1 : (s1 > s2 ? 1 : 0)
+}
+
+/**
+ * Orders values from greatest to least using `compare`, with missing (empty or undefined) values last.
+ */
+function _compareDescendingMissingLast(v1, v2, compare) {
+  if (!v1 || !v2) return (v1 ? 0 : 1) - (v2 ? 0 : 1)
+  return compare(v2, v1)
+}
+
+/**
+ * Sets the search whose matches are marked in the `.proposal-title` and `.proposal-detail-value`
+ * nodes of listed proposals. Proposals are highlighted as they are listed, by `_highlightProposalElement`.
+ *
+ * @param {?Object} query - A query produced by `parseSearchQuery`, or null to only clear highlights.
+ * @param {boolean} allowTypos - Whether to also highlight words that matched despite a typo.
+ */
+function highlightSearchMatches(query, allowTypos) {
+  var terms = query ? _positiveSearchTerms(query).filter(function (term) {
+    return term.value.length && (!term.field || searchFields[term.field].highlight)
+  }) : []
+
+  searchHighlight = {
+    terms: terms,
+    allowTypos: allowTypos,
+    key: JSON.stringify(terms) + (allowTypos ? ' ~' : '')
+  }
+}
 
-  matchingProposals.forEach(function (proposal) {
-    var matchingElements = [].concat.apply([], document.querySelectorAll('.' + proposal.id))
-    matchingElements.forEach(function (element) { element.classList.remove('hidden') })
+/**
+ * Marks the matches of `searchHighlight` in a proposal's element, replacing previous highlights.
+ * Does nothing if the element is already highlighted for the same search.
+ */
+function _highlightProposalElement(proposalElement) {
+  if (highlightedSearches[proposalElement.id] === searchHighlight.key) return
+  highlightedSearches[proposalElement.id] = searchHighlight.key
+
+  ;[].forEach.call(proposalElement.querySelectorAll('mark.search-match'), function (mark) {
+    var parent = mark.parentNode
+    parent.replaceChild(document.createTextNode(mark.textContent), mark)
+    parent.normalize()
   })
 
-  filteredProposals.forEach(function (proposal) {
-    var filteredElements = [].concat.apply([], document.querySelectorAll('.' + proposal.id))
-    filteredElements.forEach(function (element) { element.classList.add('hidden') })
+  searchHighlight.terms.forEach(function (term) {
+    var selector = term.field ? searchFields[term.field].highlight : '.proposal-title, .proposal-detail-value'
+    ;[].forEach.call(proposalElement.querySelectorAll(selector), function (node) {
+      _highlightText(node, term.value, searchHighlight.allowTypos)
+    })
   })
+}
+
+/** Wraps occurrences of `term` in the text nodes below `node` with `<mark>` elements. */
+function _highlightText(node, term, allowTypos) {
+  var walker = document.createTreeWalker(node, window.NodeFilter.SHOW_TEXT)
+  var textNodes = []
+  while (walker.nextNode()) {
+    if (walker.currentNode.parentNode.nodeName !== 'MARK') textNodes.push(walker.currentNode)
+  }
 
-  updateProposalsCount(matchingProposals.length)
+  var lowercaseTerm = term.toLowerCase()
+
+  textNodes.forEach(function (textNode) {
+    var text = textNode.nodeValue
+    var ranges = []
+    var index = text.toLowerCase().indexOf(lowercaseTerm)
+
+    while (index >= 0) {
+      ranges.push({ index: index, length: term.length })
+      index = text.toLowerCase().indexOf(lowercaseTerm, index + term.length)
+    }
+
+    if (!ranges.length && allowTypos) ranges = _typoMatches(text, term)
+    if (!ranges.length) return
+
+    var fragment = document.createDocumentFragment()
+    var position = 0
+    ranges.sort(function (r1, r2) { return r1.index - r2.index }).forEach(function (range) {
+      if (range.index < position) return
+      if (range.index > position) fragment.appendChild(document.createTextNode(text.substring(position, range.index)))
+      fragment.appendChild(html('mark', { className: 'search-match' }, text.substr(range.index, range.length)))
+      position = range.index + range.length
+    })
+    if (position < text.length) fragment.appendChild(document.createTextNode(text.substring(position)))
+
+    textNode.parentNode.replaceChild(fragment, textNode)
+  })
 }
 
 /**
@@ -900,19 +2999,33 @@ function _setProposalVisibility(matchingProposals) {
  *   fragment --> `#?` parameter-value-list
  *   parameter-value-list --> parameter-value-pair | parameter-value-pair `&` parameter-value-list
  *   parameter-value-pair --> parameter `=` value
- *   parameter --> `proposal` | `status` | `version` | `upcoming` | `search`
+ *   parameter --> `proposal` | `status` | `version` | `versions` | `upcoming` | `watched` | `manager` | `author` | `repo`
+ *     | `search` | `sort` | `group` | `compare`
  *   value --> ** Any URL-encoded text. **
  *
  * For example:
  *   /#?proposal=SE-0180,SE-0123
  *   /#?status=rejected&version=3&search=access
+ *   /#?status=implemented&sort=title&group=version
+ *   /#?versions=5.9...6.1&group=version
+ *   /#?repo=swiftlang/swift-syntax&manager=Holly%20Borla
+ *   /#?compare=SE-0401,SE-0411
  *
- * Five types of parameters are supported:
+ * Thirteen types of parameters are supported:
  * - proposal: A comma-separated list of proposal IDs. Treated as an 'or' search.
  * - status: A comma-separated list of proposal statuses to apply as a filter.
  * - version: A comma-separated list of Swift version numbers to apply as a filter.
+ * - versions: A range of Swift versions, as in `5.9...6.1`, selecting the proposals implemented in them.
  * - upcoming: A value of 'true' to apply the Upcoming Feature Flag filter.
- * - search: Raw, URL-encoded text used to filter by individual term.
+ * - watched: A value of 'true' to show only the proposals the reader watches.
+ * - manager, author, repo: A comma-separated list of URL-encoded review managers, authors or
+ *   implementation repositories (`account/repository`) to apply as a filter. See `proposalFacets`.
+ * - search: URL-encoded search text, using the query syntax described at `parseSearchQuery`.
+ * - sort: One of the `SortKey` values. 'relevance' only takes effect while searching.
+ * - group: One of the `GroupMode` values.
+ * - compare: A comma-separated list of proposal IDs to show side by side in the compare tray.
+ *
+ * Selections are added to the current ones; see `handleHistoryNavigation` for replacing them.
  *
  * @param {string} fragment - A URI fragment to use as the basis for a search.
  */
@@ -921,7 +3034,10 @@ function _applyFragment(fragment) {
   fragment = fragment.substring(2) // remove the #?
 
   // Use this literal's keys as the source of truth for key-value pairs in the fragment
-  var actions = { proposal: [], search: null, status: [], version: [], upcoming: false }
+  var actions = {
+    proposal: [], search: null, status: [], version: [], versions: null, upcoming: false, watched: false, sort: null, group: null,
+    [Facet.reviewManager]: [], [Facet.author]: [], [Facet.repository]: [], compare: []
+  }
 
   // Parse the fragment as a query string
   Object.keys(actions).forEach(function (action) {
@@ -930,15 +3046,18 @@ function _applyFragment(fragment) {
 
     if (values) {
       var value = values[1] // 1st capture group from the RegExp
-      if (action === 'search') {
+      if (action === 'search' || action === 'sort' || action === 'group' || action === 'versions') {
         value = decodeURIComponent(value)
-      } else if (action === 'upcoming') {
+      } else if (action === 'upcoming' || action === 'watched') {
         value = value === 'true'
+      } else if (proposalFacets[action]) {
+        // Facet values are encoded individually, since names may contain commas.
+        value = value.split(',').map(decodeURIComponent)
       } else {
         value = value.split(',')
       }
 
-      if (action === 'proposal') {
+      if (action === 'proposal' || action === 'compare') {
         value = value.flatMap(function (id) {
           // Filter out invalid identifiers.
           const output = id.match(/^SE-([0-9]{1,4})$/i)
@@ -1013,37 +3132,147 @@ function _applyFragment(fragment) {
     ;['#version-options', '#version-options-label'].forEach(function (selector) {
       document.querySelector('.filter-options')
         .querySelector(selector).classList
-        .toggle('hidden')
+        .remove('hidden')
     })
   }
 
+  if (actions.watched) document.querySelector('#filter-by-watched').checked = true
+
+  // Ranges naming versions without implemented proposals are ignored.
+  var rangeBounds = actions.versions ? actions.versions.split('...') : []
+  var hasVersionRange = rangeBounds.length === 2 && rangeBounds.every(function (version) {
+    return languageVersions.indexOf(version) !== -1
+  })
+  if (hasVersionRange) _setVersionRange({ from: rangeBounds[0], to: rangeBounds[1] })
+
+  // Facet values that no proposal has are ignored.
+  var hasFacetSelections = false
+  _objectValues(Facet).forEach(function (facet) {
+    var selectedValues = actions[facet].filter(function (value, index) {
+      return actions[facet].indexOf(value) === index && proposals.some(function (proposal) {
+        return proposalFacets[facet].values(proposal).indexOf(value) !== -1
+      })
+    })
+    if (!selectedValues.length) return
+
+    facetSelections[facet] = selectedValues
+    hasFacetSelections = true
+  })
+
   // Specifying any filter in the fragment should activate the filters in the UI
-  if (hasVersionSelections || hasStatusSelections) {
+  if (hasVersionSelections || hasStatusSelections || actions.watched || hasVersionRange || hasFacetSelections) {
     toggleFilterPanel()
     toggleStatusFiltering()
   }
   
+  if (_objectValues(SortKey).indexOf(actions.sort) !== -1) {
+    document.querySelector('#sort-proposals').value = actions.sort
+  }
+  if (_objectValues(GroupMode).indexOf(actions.group) !== -1) {
+    document.querySelector('#group-proposals').value = actions.group
+  }
+
   // Toggle upcoming feature flag filter if needed
   if (actions.upcoming && !upcomingFeatureFlagFilterEnabled) {
     toggleFlagFiltering()
   }
 
+  // Proposals that aren't listed can't be compared.
+  var comparedIDs = actions.compare.filter(function (id, index) {
+    return actions.compare.indexOf(id) === index && renderedProposals.some(function (proposal) {
+      return proposal.id === id
+    })
+  })
+  if (comparedIDs.length) {
+    comparedProposalIDs = comparedIDs
+    comparedIDs.forEach(function (id) {
+      if (proposalElements[id]) proposalElements[id].querySelector('.compare-checkbox').checked = true
+    })
+    renderCompareTray()
+  }
+
   filterProposals()
 }
 
 /**
- * Writes out the current search and filter settings to document.location
- * via window.replaceState.
+ * Brings the filters in line with the current URI fragment after navigating through
+ * the session history or editing the fragment.
+ *
+ * Fragments that aren't filter descriptions, such as `#SE-0001` links to a proposal
+ * in the list, leave the filters alone. Linked proposals are listed if they aren't yet.
+ */
+function handleHistoryNavigation() {
+  var fragment = document.location.hash
+  if (/^#SE-\d{4}$/.test(fragment)) {
+    var linkedProposal = _listProposal(fragment.substr(1))
+    if (linkedProposal) linkedProposal.scrollIntoView()
+    return
+  }
+  if (fragment === appliedFragment || (fragment && fragment.substr(0, 2) !== '#?')) return
+
+  replacesHistoryEntry = true
+  try {
+    _resetFilters()
+    _applyFragment(fragment)
+    if (!fragment) filterProposals()
+  } finally {
+    replacesHistoryEntry = false
+  }
+  appliedFragment = fragment
+}
+
+/** Clears the search and the comparison, and returns every filter, sort and grouping option to its initial state. */
+function _resetFilters() {
+  document.querySelector('#search-filter').value = ''
+
+  if (document.querySelector('#status-filter-button').classList.contains('active')) {
+    toggleStatusFiltering()
+  }
+  filterSelection = []
+  ;[].forEach.call(document.querySelectorAll('.filter-list input:checked'), function (checkbox) {
+    checkbox.checked = false
+  })
+  ;['#version-options', '#version-options-label'].forEach(function (selector) {
+    document.querySelector('.filter-options').querySelector(selector).classList.add('hidden')
+  })
+
+  _setVersionRange(null)
+  versionRangeSelection = null
+
+  facetSelections = {}
+  savedFacetSelections = null
+  ;[].forEach.call(document.querySelectorAll('.facet-search'), function (input) {
+    input.value = ''
+  })
+
+  if (upcomingFeatureFlagFilterEnabled) toggleFlagFiltering()
+
+  document.querySelector('#sort-proposals').value = SortKey.number
+  document.querySelector('#group-proposals').value = GroupMode.status
+
+  comparedProposalIDs.forEach(function (id) {
+    if (proposalElements[id]) proposalElements[id].querySelector('.compare-checkbox').checked = false
+  })
+  comparedProposalIDs = []
+  renderCompareTray()
+}
+
+/**
+ * Writes out the current search and filter settings to document.location.
+ * Each change adds a history entry, unless `replacesHistoryEntry` is set.
  */
 function _updateURIFragment() {
   var actions = { proposal: [], search: null, status: [], version: [] }
 
   var search = document.querySelector('#search-filter')
 
-  if (search.value && search.value.match(/(SE-\d\d\d\d)($|((,SE-\d\d\d\d)+))/i)) {
-    actions.proposal = search.value.toUpperCase().split(',')
+  var proposalIDs = parseProposalIDList(search.value)
+  if (proposalIDs) {
+    actions.proposal = proposalIDs
   } else {
-    actions.search = search.value
+    // Valid queries are written in canonical form; anything else is kept verbatim.
+    var parseResult = parseSearchQuery(search.value)
+    actions.search = parseResult.query ? stringifySearchQuery(parseResult.query) : search.value
   }
 
   var selectedVersions = document.querySelectorAll('.filter-by-swift-version:checked')
@@ -1080,19 +3309,37 @@ function _updateURIFragment() {
   if (actions.status.length) fragments.push('status=' + actions.status.join(','))
   if (actions.version.length) fragments.push('version=' + actions.version.join(','))
   if (upcomingFeatureFlagFilterEnabled) fragments.push('upcoming=true')
+  if (document.querySelector('#filter-by-watched').checked) fragments.push('watched=true')
+  var versionRange = selectedVersionRange()
+  if (versionRange) fragments.push('versions=' + versionRange.from + '...' + versionRange.to)
+  _objectValues(Facet).forEach(function (facet) {
+    var selectedValues = facetSelections[facet] || []
+    // Slashes are left readable in repositories like swiftlang/swift-syntax.
+    var encodedValues = selectedValues.map(function (value) { return encodeURIComponent(value).replace(/%2F/g, '/') })
+    if (selectedValues.length) fragments.push(facet + '=' + encodedValues.join(','))
+  })
 
   // encoding the search lets you search for `??` and other edge cases.
   if (actions.search) fragments.push('search=' + encodeURIComponent(actions.search))
+  if (selectedSortKey() !== SortKey.number) fragments.push('sort=' + selectedSortKey())
+  if (selectedGroupMode() !== GroupMode.status) fragments.push('group=' + selectedGroupMode())
+  if (comparedProposalIDs.length) fragments.push('compare=' + comparedProposalIDs.join(','))
 
-  if (!fragments.length) {
-    window.history.replaceState(null, null, './')
-    return
-  }
+  var fragment = fragments.length ? '#?' + fragments.join('&') : ''
+  if (fragment === window.location.hash) return
 
-  var fragment = '#?' + fragments.join('&')
+  // Keep the query string, which may select the metadata source.
+  var url = fragment || window.location.pathname + window.location.search
+  if (replacesHistoryEntry) {
+    window.history.replaceState(null, null, url)
+  } else {
+    window.history.pushState(null, null, url)
+  }
+  appliedFragment = fragment
+}
 
-  // Avoid creating new history entries each time a search or filter updates
-  window.history.replaceState(null, null, fragment)
+function _objectValues(object) {
+  return Object.keys(object).map(function (key) { return object[key] })
 }
 
 /** Helper to give versions like 3.0.1 an okay ID to use in a DOM element. (swift-3-0-1) */
@@ -1121,12 +3368,12 @@ function updateStatusFilterToggleText(filterCount) {
   if (filterCount === 0) {
     var panel = document.querySelector('.expandable')
     if (panel.classList.contains('expanded')) {
-      container.innerText = 'Hide Filters'
+      container.innerText = t('filters.hide')
     } else {
-      container.innerText = 'Show Filters'
+      container.innerText = t('filters.show')
     }
   } else {
-    container.innerText = filterCount + ' Filter' + ((filterCount !== 1) ? 's' : '')
+    container.innerText = t('filters.count', { count: filterCount })
   }
 }
 
@@ -1138,18 +3385,24 @@ function updateStatusFilterToggleText(filterCount) {
 function updateProposalsCount (count) {
   // Calculate and set value of proposal count span
   var numberField = document.querySelector('#proposals-count-number')
-  var baseString = (count.toString() + ' proposal' + (count !== 1 ? 's' : ''))
+  var baseString = t('count.proposals', { count: count })
   numberField.innerHTML = baseString
 
   // Calculate and set value of flag filter description span
   var flagFilterDescription = document.querySelector('#flag-filter-description')
   if (upcomingFeatureFlagFilterEnabled) {
-    var anchorTag = '<a href="' + UFF_INFO_URL + '">'
-    var uffText = 'upcoming feature flag' + (count !== 1 ? 's' : '')
-    flagFilterDescription.innerHTML = " with "+ (count !== 1 ? '' : 'an ') + anchorTag + uffText + '</a>'
+    var link = '<a href="' + UFF_INFO_URL + '">' + t('count.flagFilterLink', { count: count }) + '</a>'
+    flagFilterDescription.innerHTML = t('count.flagFilter', { count: count, link: link })
   } else {
     flagFilterDescription.innerHTML = ""
   }
+
+  // Announce the count once it settles, rather than on every keystroke of a search.
+  clearTimeout(proposalsCountAnnouncementTimer)
+  proposalsCountAnnouncementTimer = setTimeout(function () {
+    document.querySelector('#proposals-count-announcement').textContent =
+      document.querySelector('#proposals-count').textContent.replace(/\s+/g, ' ').trim()
+  }, PROPOSALS_COUNT_ANNOUNCEMENT_DELAY)
 }
 
 function updateFilterStatus () {
@@ -1187,12 +3440,12 @@ function descriptionForSelectedStatuses(selectedOptions) {
   let allExceptThreshold = totalCount - ALL_EXCEPT_MAX_COUNT
 
   if (selectedCount === 0 || selectedCount === totalCount) {
-    return "All Statuses"
+    return t('filters.allStatuses')
   } else if (selectedCount >= allExceptThreshold) {
     let unselectedOptions = allStateOptions.filter(function (option) {
       return selectedOptions.indexOf(option) === -1
     })
-    return "All Statuses Except " + listStringForStatuses(unselectedOptions, "and", false)
+    return t('filters.allStatusesExcept', { statuses: listStringForStatuses(unselectedOptions, "and", false) })
   } else {
     return listStringForStatuses(selectedOptions, "or", true)
   }
@@ -1200,26 +3453,23 @@ function descriptionForSelectedStatuses(selectedOptions) {
 
 /**
 * Generates a user-presentable list of statuses for an array of selected options. 
-* Takes a conjunction string to join the last element for arrays of two or more elements.
-* The statusPrefix turns a status that is a noun phrase e.g. 'Active Review' into a
+* Takes a conjunction, 'and' or 'or', to join the last element for arrays of two or more elements.
+* The list is punctuated according to `locale`.
+* The phrase turns a status that is a noun phrase e.g. 'Active Review' into a
 * verb phrase e.g. 'In Active Review'.
 *
-* For a list of exact status names, Use false for useStatusPrefix.
-* For a list of status names that reads like a sentence, Use true for useStatusPrefix. 
+* For a list of exact status names, Use false for usePhrase.
+* For a list of status names that reads like a sentence, Use true for usePhrase.
 *
 * @param {string[]} options - each element is a key in the states objects. For example: '.accepted'.
 * @param {string} conjunction - Used to join the last element if two or more elements are present.
-* @param {boolean} useStatusPrefix - Uses prepends statusPrefix, if defined, on the status name.
+* @param {boolean} usePhrase - Uses the status's phrase, if defined, instead of its short name.
 */
-function listStringForStatuses(options, conjunction, useStatusPrefix) {
+function listStringForStatuses(options, conjunction, usePhrase) {
   let optionNames = options.map( function (option) {
     let state = states[option]
-    let prefix = useStatusPrefix ? (state.statusPrefix ?? '') : ''
-     return prefix + state.shortName
+    return usePhrase ? (state.phrase ?? state.shortName) : state.shortName
   })
-  if (optionNames.length === 1){
-    return optionNames[0]
-  } else {
-    return optionNames.slice(0, -1).join(", ") + " " + conjunction + " " + optionNames.slice(-1)[0]
-  }
+  let listFormat = new Intl.ListFormat(locale, { type: conjunction === 'or' ? 'disjunction' : 'conjunction' })
+  return listFormat.format(optionNames)
 }
@@ -0,0 +1,76 @@
+// This source file is part of the Swift.org open source project
+//
+// Copyright (c) 2026 Apple Inc. and the Swift project authors
+// Licensed under Apache License v2.0 with Runtime Library Exception
+//
+// See http://swift.org/LICENSE.txt for license information
+// See http://swift.org/CONTRIBUTORS.txt for the list of Swift project authors
+//
+// ===---------------------------------------------------------------------===//
+
+// Keeps the Swift Evolution dashboard usable without a network connection.
+// Same-origin GET requests made by the dashboard (the page, its scripts, styles,
+// fonts and images) are served from the network when possible and from the
+// cache otherwise. The proposal metadata is cached by the page itself, see
+// `_fetchAndCacheMetadata` in /assets/javascripts/swift-evolution.js.
+'use strict'
+
+const SHELL_CACHE_NAME = 'swift-evolution-shell-v2'
+
+/** Resources the dashboard can't render without, fetched when the worker is installed. */
+const SHELL_URLS = [
+  '/swift-evolution/',
+  '/assets/javascripts/swift-evolution-messages.js',
+  '/assets/javascripts/swift-evolution-common.js',
+  '/assets/javascripts/swift-evolution-filter.js',
+  '/assets/javascripts/swift-evolution.js',
+  '/assets/stylesheets/application.css'
+]
+
+self.addEventListener('install', function (event) {
+  event.waitUntil(
+    caches.open(SHELL_CACHE_NAME).then(function (cache) {
+      return cache.addAll(SHELL_URLS)
+    }).then(function () {
+      return self.skipWaiting()
+    })
+  )
+})
+
+self.addEventListener('activate', function (event) {
+  // Remove caches left behind by previous versions of this worker.
+  event.waitUntil(
+    caches.keys().then(function (names) {
+      return Promise.all(names.filter(function (name) {
+        return name.indexOf('swift-evolution-shell-') === 0 && name !== SHELL_CACHE_NAME
+      }).map(function (name) {
+        return caches.delete(name)
+      }))
+    }).then(function () {
+      return self.clients.claim()
+    })
+  )
+})
+
+self.addEventListener('fetch', function (event) {
+  var request = event.request
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return
+
+  // Network first, so visitors who are online always see the current site.
+  event.respondWith(
+    fetch(request).then(function (response) {
+      if (response.ok) {
+        var copy = response.clone()
+        caches.open(SHELL_CACHE_NAME).then(function (cache) {
+          cache.put(request, copy)
+        })
+      }
+      return response
+    }).catch(function () {
+      return caches.match(request, { ignoreSearch: request.mode === 'navigate' }).then(function (cached) {
+        if (cached) return cached
+        throw new Error('Offline and not cached: ' + request.url)
+      })
+    })
+  )
+})
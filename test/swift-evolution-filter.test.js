@@ -0,0 +1,283 @@
+// This source file is part of the Swift.org open source project
+//
+// Copyright (c) 2026 Apple Inc. and the Swift project authors
+// Licensed under Apache License v2.0 with Runtime Library Exception
+//
+// See http://swift.org/LICENSE.txt for license information
+// See http://swift.org/CONTRIBUTORS.txt for the list of Swift project authors
+//
+// ===---------------------------------------------------------------------===//
+
+// Tests for the search and filters of the Swift Evolution dashboard. Run with `npm test`.
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const path = require('node:path')
+const vm = require('node:vm')
+
+/**
+ * Loads the dashboard scripts the way the page does: as classic scripts sharing one global scope.
+ * The stubs cover what swift-evolution-common.js reads from the page and the browser when it's loaded.
+ *
+ * @param {string[]} [languages] - The browser's preferred languages, which decide the locale of messages.
+ */
+function loadDashboardScripts(languages = ['en-US']) {
+  const context = vm.createContext({
+    console,
+    URL,
+    URLSearchParams,
+    document: { querySelector: () => null, baseURI: 'https://www.swift.org/swift-evolution/' },
+    navigator: { languages: languages },
+    window: { location: { search: '' } }
+  })
+  const source = ['swift-evolution-messages.js', 'swift-evolution-common.js', 'swift-evolution-filter.js'].map(function (name) {
+    return fs.readFileSync(path.join(__dirname, '../assets/javascripts', name), 'utf8')
+  }).join('\n;\n')
+
+  return vm.runInContext(source + `
+    ;({ State, normalizeMetadata, parseSearchQuery, parseProposalIDList, stringifySearchQuery, createSearchIndex, searchProposals,
+        applyFlagFilter, applyStatusFilter, applyFacetFilter, Facet, proposalsJSON })`, context)
+}
+
+const dashboard = loadDashboardScripts()
+
+function person(name) {
+  return { name: name, link: 'https://github.com/' + name.split(' ')[0].toLowerCase() }
+}
+
+const metadata = {
+  schemaVersion: '1.0.0',
+  implementationVersions: ['5.9', '6.0', '6.1'],
+  proposals: [
+    {
+      id: 'SE-0470',
+      title: 'Global-actor isolated conformances',
+      link: '0470-isolated-conformances.md',
+      authors: [person('Doug Gregor')],
+      reviewManagers: [person('Xiaodi Wu')],
+      status: { state: 'implemented', version: '6.1' },
+      upcomingFeatureFlag: { flag: 'InferIsolatedConformances' },
+      implementation: [{ account: 'swiftlang', repository: 'swift', type: 'pull', id: '80000' }]
+    },
+    {
+      id: 'SE-0430',
+      title: '`sending` parameter and result values',
+      link: '0430-transferrable-parameters-and-results.md',
+      authors: [person('Michael Gottesman'), person('Holly Borla')],
+      reviewManagers: [person('Becca Royal-Gordon')],
+      status: { state: 'implemented', version: '6.0' },
+      implementation: [{ account: 'swiftlang', repository: 'swift', type: 'pull', id: '71000' }]
+    },
+    {
+      id: 'SE-0401',
+      title: 'Remove Actor Isolation Inference caused by Property Wrappers',
+      link: '0401-remove-property-wrapper-isolation.md',
+      authors: [person('Holly Borla')],
+      reviewManagers: [person('Doug Gregor')],
+      status: { state: 'implemented', version: '5.9' },
+      upcomingFeatureFlag: { flag: 'DisableOutwardActorInference' }
+    },
+    {
+      id: 'SE-0450',
+      title: 'Package traits',
+      link: '0450-swiftpm-package-traits.md',
+      authors: [person('Franz Busch')],
+      reviewManagers: [person('Mishal Shah')],
+      status: { state: 'activeReview', start: '2026-10-14', end: '2026-10-28' },
+      implementation: [{ account: 'swiftlang', repository: 'swift-package-manager', type: 'pull', id: '7500' }]
+    },
+    {
+      id: 'SE-0300',
+      title: 'Continuations for interfacing async tasks with synchronous code',
+      link: '0300-continuation.md',
+      authors: [person('John McCall')],
+      reviewManagers: [person('Ben Cohen')],
+      status: { state: 'withdrawn' }
+    }
+  ]
+}
+
+const proposals = dashboard.normalizeMetadata(metadata).proposals
+const index = dashboard.createSearchIndex(proposals)
+
+// `Array.from` creates the array in this context, so it compares equal to the expected arrays.
+function ids(matchingProposals) {
+  return Array.from(matchingProposals, function (proposal) { return proposal.id })
+}
+
+function search(text, isRanked) {
+  const result = dashboard.parseSearchQuery(text)
+  assert.equal(result.error, null, text)
+  return ids(searchProposals(result.query, isRanked))
+}
+
+function searchProposals(query, isRanked) {
+  return dashboard.searchProposals(index, query, isRanked || false)
+}
+
+test('parseSearchQuery reads fields, operators, groups and exclusions', function () {
+  const { query } = dashboard.parseSearchQuery('(status:accepted OR state:implemented) -authors:"Holly Borla" version>=5.9')
+  assert.equal(query.type, 'and')
+  assert.deepEqual(Array.from(query.clauses[0].clauses, function (term) { return term.field + term.operator + term.value }),
+    ['status:accepted', 'status:implemented'])
+  assert.equal(query.clauses[1].type, 'not')
+  assert.equal(query.clauses[1].clause.field, 'author')
+  assert.equal(query.clauses[1].clause.value, 'Holly Borla')
+  assert.equal(query.clauses[2].operator, '>=')
+})
+
+test('parseSearchQuery reports syntax errors with their position', function () {
+  const cases = {
+    'actor OR': 'OR must be followed by a search term',
+    '(actor': 'Missing closing parenthesis',
+    'nickname:doug': 'Unknown field',
+    'title>actor': 'only works with version',
+    'version>=soon': 'Expected a Swift version',
+    'title:"actor': 'Unterminated quote'
+  }
+  Object.keys(cases).forEach(function (text) {
+    const { query, error } = dashboard.parseSearchQuery(text)
+    assert.equal(query, null, text)
+    assert.ok(error.message.includes(cases[text]), text + ': ' + error.message)
+    assert.equal(typeof error.position, 'number')
+  })
+  const blank = dashboard.parseSearchQuery('   ')
+  assert.equal(blank.query, null)
+  assert.equal(blank.error, null)
+})
+
+test('parseSearchQuery reports syntax errors in the reader\'s language', function () {
+  const german = loadDashboardScripts(['de-DE'])
+  assert.equal(german.parseSearchQuery('(actor').error.message, 'Schließende Klammer fehlt (bei Zeichen 1)')
+  assert.equal(german.parseSearchQuery('title>actor').error.message, 'Der Operator > funktioniert nur mit version (bei Zeichen 1)')
+})
+
+test('stringifySearchQuery produces text that parses to the same query', function () {
+  const texts = [
+    'actor',
+    'author:"Holly Borla" -flag:StrictConcurrency',
+    '(status:accepted OR status:implemented) version<6',
+    '-(title:actor OR "title:actor") "-quoted" "OR"'
+  ]
+  texts.forEach(function (text) {
+    const { query } = dashboard.parseSearchQuery(text)
+    const roundTripped = dashboard.parseSearchQuery(dashboard.stringifySearchQuery(query)).query
+    assert.deepEqual(roundTripped, query, text)
+  })
+})
+
+test('parseProposalIDList reads lists of proposal IDs and nothing else', function () {
+  assert.deepEqual(Array.from(dashboard.parseProposalIDList('SE-0401')), ['SE-0401'])
+  assert.deepEqual(Array.from(dashboard.parseProposalIDList(' se-0401, SE-0430 ')), ['SE-0401', 'SE-0430'])
+  ;['id:SE-0401', 'SE-0401 OR SE-0430', '-SE-0401', 'title:actor OR id:SE-0401', 'SE-0401 actor', ''].forEach(function (text) {
+    assert.equal(dashboard.parseProposalIDList(text), null, text)
+  })
+})
+
+test('searchProposals matches unqualified terms against every searchable property', function () {
+  assert.deepEqual(search('actor'), ['SE-0470', 'SE-0401'])
+  assert.deepEqual(search('SE-0450'), ['SE-0450'])
+  assert.deepEqual(search('swift-package-manager'), ['SE-0450'])
+  assert.deepEqual(search('nothing-matches-this'), [])
+})
+
+test('searchProposals matches qualified terms against their field only', function () {
+  assert.deepEqual(search('author:holly'), ['SE-0430', 'SE-0401'])
+  assert.deepEqual(search('manager:doug'), ['SE-0401'])
+  assert.deepEqual(search('status:implemented version>=6'), ['SE-0470', 'SE-0430'])
+  assert.deepEqual(search('version:6'), ['SE-0470', 'SE-0430'])
+  assert.deepEqual(search('flag:DisableOutward'), ['SE-0401'])
+  assert.deepEqual(search('status:review'), [])
+  assert.deepEqual(search('status:active'), ['SE-0450'])
+})
+
+test('searchProposals combines clauses with and, or and exclusions', function () {
+  assert.deepEqual(search('author:holly -title:actor'), ['SE-0430'])
+  assert.deepEqual(search('title:traits OR title:continuations'), ['SE-0450', 'SE-0300'])
+  assert.deepEqual(search('actor (version:5.9 OR version:6.0)'), ['SE-0401'])
+})
+
+test('searchProposals handles proposal IDs in queries', function () {
+  assert.deepEqual(search('id:SE-0401'), ['SE-0401'])
+  assert.deepEqual(search('-SE-0401'), ['SE-0470', 'SE-0430', 'SE-0450', 'SE-0300'])
+  assert.deepEqual(search('SE-0401 OR SE-0430'), ['SE-0430', 'SE-0401'])
+  assert.deepEqual(search('title:traits OR id:SE-0401'), ['SE-0401', 'SE-0450'])
+})
+
+test('ranked searches tolerate typos and order results by relevance', function () {
+  assert.deepEqual(search('contnuations'), [])
+  assert.deepEqual(search('contnuations', true), ['SE-0300'])
+
+  // A title match ranks above a match in the names of people.
+  assert.deepEqual(search('gregor OR conformances', true), ['SE-0470', 'SE-0401'])
+  assert.deepEqual(search('doug', true)[0], 'SE-0470')
+})
+
+test('applyFlagFilter keeps proposals with an upcoming feature flag when enabled', function () {
+  assert.deepEqual(ids(dashboard.applyFlagFilter(proposals, true)), ['SE-0470', 'SE-0401'])
+  assert.equal(dashboard.applyFlagFilter(proposals, false), proposals)
+})
+
+test('applyStatusFilter filters by state, implementation version and watch list', function () {
+  const select = function (selection) {
+    return ids(dashboard.applyStatusFilter(proposals, Object.assign({ states: [], watchedProposalIDs: null, versionRange: null }, selection)))
+  }
+
+  assert.deepEqual(select({}), ids(proposals))
+  assert.deepEqual(select({ states: ['implemented'] }), ['SE-0470', 'SE-0430', 'SE-0401'])
+  assert.deepEqual(select({ states: ['implemented', 'swift-6-0'] }), ['SE-0430'])
+  assert.deepEqual(select({ states: ['active-review', 'withdrawn'] }), ['SE-0450', 'SE-0300'])
+  assert.deepEqual(select({ watchedProposalIDs: ['SE-0300', 'SE-0401'] }), ['SE-0401', 'SE-0300'])
+  assert.deepEqual(select({ versionRange: { from: '5.9', to: '6.0' } }), ['SE-0430', 'SE-0401'])
+  assert.deepEqual(select({ versionRange: { from: '6.1', to: '6.1' }, states: ['withdrawn'] }), [])
+})
+
+test('applyFacetFilter matches any value within a facet and every facet with a selection', function () {
+  const Facet = dashboard.Facet
+  const select = function (selections) {
+    return ids(dashboard.applyFacetFilter(proposals, selections))
+  }
+
+  assert.deepEqual(select({}), ids(proposals))
+  assert.deepEqual(select({ [Facet.author]: [] }), ids(proposals))
+  assert.deepEqual(select({ [Facet.author]: ['Holly Borla', 'John McCall'] }), ['SE-0430', 'SE-0401', 'SE-0300'])
+  assert.deepEqual(select({ [Facet.author]: ['Holly Borla'], [Facet.repository]: ['swiftlang/swift'] }), ['SE-0430'])
+  assert.deepEqual(select({ [Facet.reviewManager]: ['Mishal Shah'] }), ['SE-0450'])
+})
+
+test('filters work on proposals read from version 2 metadata', function () {
+  const v2 = dashboard.normalizeMetadata({
+    schemaVersion: '2.0.0',
+    languageVersions: ['6.1'],
+    proposals: [
+      Object.assign({}, metadata.proposals[0], { upcomingFeatureFlag: { name: 'InferIsolatedConformances' } }),
+      Object.assign({}, metadata.proposals[3], {
+        status: { state: 'activeReview', review: { start: '2026-10-14', end: '2026-10-28' } }
+      }),
+      Object.assign({}, metadata.proposals[4], { status: { state: 'deferred' } })
+    ]
+  })
+  const v2Index = dashboard.createSearchIndex(v2.proposals)
+
+  assert.deepEqual(ids(dashboard.searchProposals(v2Index, dashboard.parseSearchQuery('flag:InferIsolated').query, false)), ['SE-0470'])
+  assert.deepEqual(ids(dashboard.applyFlagFilter(v2.proposals, true)), ['SE-0470'])
+  assert.equal(v2.proposals[1].status.start, '2026-10-14')
+  assert.equal(v2.proposals[2].status.state, dashboard.State.unknown)
+  assert.deepEqual(ids(dashboard.applyStatusFilter(v2.proposals, { states: ['unknown'], watchedProposalIDs: null, versionRange: null })), ['SE-0300'])
+})
+
+test('proposalsJSON writes proposals read from version 2 metadata in their published shape', function () {
+  const source = [
+    Object.assign({}, metadata.proposals[0], { upcomingFeatureFlag: { name: 'InferIsolatedConformances' } }),
+    Object.assign({}, metadata.proposals[3], {
+      status: { state: 'activeReview', review: { start: '2026-10-14', end: '2026-10-28' } }
+    }),
+    Object.assign({}, metadata.proposals[4], { status: { state: 'deferred' } })
+  ]
+  const v2 = dashboard.normalizeMetadata({ schemaVersion: '2.0.0', languageVersions: ['6.1'], proposals: source })
+
+  assert.deepEqual(JSON.parse(dashboard.proposalsJSON(v2.proposals)), source)
+  assert.deepEqual(JSON.parse(dashboard.proposalsJSON(v2.proposals.slice(2))), [source[2]])
+})